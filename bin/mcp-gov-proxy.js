@@ -2,27 +2,47 @@
 
 /**
  * mcp-gov-proxy - MCP Governance Proxy
- * Intercepts tool calls and checks permissions before forwarding to target MCP server
+ * Intercepts tool calls, resource reads and prompt requests and checks permissions before forwarding
+ * to target MCP server
  */
 
 import { parseArgs } from 'node:util';
-import { readFileSync, appendFileSync, mkdirSync, existsSync } from 'node:fs';
+import { readFileSync, mkdirSync, existsSync, watchFile } from 'node:fs';
 import { spawn } from 'node:child_process';
 import { createInterface } from 'node:readline';
 import { dirname, join } from 'node:path';
 import { homedir } from 'node:os';
-import { extractService, detectOperation } from '../src/operation-detector.js';
+import {
+  extractService, detectOperation, classifyOperation, resolveClassifyOptions, resolveLowConfidence, resolveServiceAliases, isArgumentSensitive
+} from '../src/operation-detector.js';
+import { ARGUMENT_OPERATIONS } from '../src/argument-classifiers.js';
+import { matchesConditions, getRuleSpecificity, getRequestSpecificity, normalizeUri, SPECIFICITY } from '../src/rule-matcher.js';
+import { validateRules } from '../src/rules-validator.js';
+import { matchSchedule } from '../src/schedule.js';
+import { consumeRateLimits, describeLimit } from '../src/rate-limit.js';
+import { readToolPins, compareToolPins, recordPendingTools, hasPinnedTools } from '../src/tool-pins.js';
+import { enqueueApproval, waitForDecision, DEFAULT_APPROVAL_TIMEOUT } from '../src/approval-queue.js';
+import { createSessionId, createAuditEntry, appendAuditEntry, loadAuditKey } from '../src/audit-log.js';
+import { resolveRotationPolicy } from '../src/audit-rotation.js';
+import { redactText, getRedactionFields } from '../src/redaction.js';
+import { splitCommandLine, formatCommandLine } from '../src/command-line.js';
 
 // Default audit log path
 const DEFAULT_AUDIT_LOG = join(homedir(), '.mcp-gov', 'audit.log');
 
+// How often the rules file is checked for changes (ms)
+const RULES_WATCH_INTERVAL = 500;
+
+// Restrictiveness of permissions, used to break ties between rules
+const PERMISSION_RANK = { allow: 0, ask: 1, deny: 2 };
+
 /**
- * Parse command line arguments
- * @returns {{ target: string, rules: string, service: string, log: string, help: boolean }}
+ * Parse command line arguments. The target command may follow "--" as separate arguments.
+ * @returns {{ target: string, targetArgv: string[], rules: string, service: string, log: string, help: boolean }}
  */
 function parseCliArgs() {
   try {
-    const { values } = parseArgs({
+    const { values, tokens } = parseArgs({
       options: {
         service: {
           type: 'string',
@@ -45,10 +65,22 @@ function parseCliArgs() {
           short: 'h',
         },
       },
-      allowPositionals: false,
+      allowPositionals: true,
+      tokens: true,
     });
 
-    return values;
+    // Everything after "--" is the target argv, passed through untouched
+    const terminator = tokens.find(token => token.kind === 'option-terminator');
+    const stray = tokens.find(token => token.kind === 'positional' && (!terminator || token.index < terminator.index));
+    if (stray) {
+      throw new Error(`Unexpected argument '${stray.value}' (put the target command after "--")`);
+    }
+
+    const targetArgv = tokens
+      .filter(token => token.kind === 'positional' && token.index > terminator?.index)
+      .map(token => token.value);
+
+    return { ...values, targetArgv };
   } catch (error) {
     console.error(`Error parsing arguments: ${error.message}`);
     process.exit(1);
@@ -60,23 +92,28 @@ function parseCliArgs() {
  */
 function showUsage() {
   console.log(`
-Usage: mcp-gov-proxy [--service <name>] --target <command> --rules <rules.json> [--log <file>]
+Usage: mcp-gov-proxy [--service <name>] --rules <rules.json> [--log <file>] -- <command> [args...]
+       mcp-gov-proxy [--service <name>] --target <command> --rules <rules.json> [--log <file>]
 
 Options:
   --service, -s  Service name for rule matching (recommended, falls back to tool name prefix)
-  --target, -t   Target MCP server command to wrap (required)
+  -- <command>   Target MCP server command and arguments, passed through unchanged
+  --target, -t   Target command as one string (older form; split on whitespace, quote
+                 arguments that contain spaces)
   --rules, -r    Path to rules.json file (required)
-  --log, -l      Path to audit log file (optional, logs to file AND stderr)
+  --log, -l      Path to JSONL audit log file (optional, defaults to ~/.mcp-gov/logs/<service>.log;
+                 decisions are also printed to stderr)
   --help, -h     Show this help message
 
 Description:
-  Intercepts MCP tool calls and checks permissions before forwarding to target server.
-  Provides audit logging and permission control based on rules.json.
+  Intercepts MCP tool calls, resource reads and subscriptions, prompt requests and
+  completions, and checks permissions before forwarding to target server. Provides audit logging and permission control based on rules.json.
 
   IMPORTANT: Use --service to ensure correct rule matching. Without it, the service
   name is extracted from tool name prefixes, which may not match your rules.
 
 Examples:
+  mcp-gov-proxy --service filesystem --rules rules.json -- npx -y @modelcontextprotocol/server-filesystem "/My Documents"
   mcp-gov-proxy --service filesystem --target "npx -y @modelcontextprotocol/server-filesystem" --rules rules.json
   mcp-gov-proxy -s github -t "npx github-mcp" -r ./config/rules.json -l ~/.mcp-gov/audit.log
 `);
@@ -100,23 +137,144 @@ function parseJsonRpcMessage(line) {
 }
 
 /**
- * Check if message is a tools/call method
+ * Parse JSON-RPC response (result or error, no method)
+ * @param {string} line - Raw message line
+ * @returns {object|null} Parsed response or null if not a JSON-RPC response
+ */
+function parseJsonRpcResponse(line) {
+  try {
+    const msg = JSON.parse(line);
+    if (msg.jsonrpc === '2.0' && !msg.method && msg.id !== undefined && ('result' in msg || 'error' in msg)) {
+      return msg;
+    }
+    return null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @typedef {Object} GovernedCall
+ * @property {'tool'|'resource'|'prompt'} kind - What the request acts on
+ * @property {string} event - Audit event: tool_call, resource_read, resource_subscribe, prompt_get or completion
+ * @property {string} [toolName] - Tool name (tools/call)
+ * @property {string} [resource] - Resource URI
+ * @property {string} [prompt] - Prompt name
+ * @property {string} service - Service name
+ * @property {string} operation - Operation type
+ * @property {object} [args] - Arguments checked by rule conditions
+ * @property {string|null} [schedule] - Schedule window of the deciding rule, once evaluated
+ * @property {import('../src/operation-detector.js').Classification} [classification] - Why a tool got its operation
+ */
+
+/**
+ * Describe a request the proxy governs: tools/call, resources/read, resources/subscribe,
+ * prompts/get, and completion/complete for a prompt or resource
  * @param {object} message - Parsed JSON-RPC message
- * @returns {boolean}
+ * @param {string|undefined} serviceName - Service name from --service
+ * @param {function(string, string, Object=): import('../src/operation-detector.js').Classification} [classifyTool] - Classification
+ *   of a tool call, given service, tool name and arguments
+ * @param {Object.<string, string>} [aliases] - Service aliases, for names without --service
+ * @returns {GovernedCall|null} Null for other messages, or if the request names no tool, resource or prompt
  */
-function isToolsCallMessage(message) {
-  return message && message.method === 'tools/call';
+function getGovernedCall(message, serviceName, classifyTool = (service, toolName, args) => classifyOperation(toolName, { args }), aliases = {}) {
+  const params = message?.params;
+
+  switch (message?.method) {
+    case 'tools/call': {
+      const toolName = params?.name;
+      if (!toolName) return null;
+      // Use provided service name, fallback to extracting from tool name for backward compatibility
+      const service = serviceName || extractService(toolName, { aliases });
+      const classification = classifyTool(service, toolName, params.arguments);
+      return { kind: 'tool', event: 'tool_call', toolName, service, operation: classification.operation, classification, args: params.arguments };
+    }
+
+    case 'resources/read':
+    case 'resources/subscribe': {
+      const resource = params?.uri;
+      if (!resource) return null;
+      const event = message.method === 'resources/read' ? 'resource_read' : 'resource_subscribe';
+      return { kind: 'resource', event, resource, service: serviceName || 'unknown', operation: 'read', args: { uri: resource } };
+    }
+
+    case 'prompts/get': {
+      const prompt = params?.name;
+      if (!prompt) return null;
+      const service = serviceName || extractService(prompt, { aliases });
+      return { kind: 'prompt', event: 'prompt_get', prompt, service, operation: 'read', args: params.arguments };
+    }
+
+    case 'completion/complete': {
+      const ref = params?.ref;
+      const argument = params?.argument?.name ? { [params.argument.name]: params.argument.value } : {};
+      if (ref?.type === 'ref/prompt' && ref.name) {
+        const service = serviceName || extractService(ref.name, { aliases });
+        return { kind: 'prompt', event: 'completion', prompt: ref.name, service, operation: 'read', args: argument };
+      }
+      if (ref?.type === 'ref/resource' && ref.uri) {
+        return { kind: 'resource', event: 'completion', resource: ref.uri, service: serviceName || 'unknown', operation: 'read', args: { uri: ref.uri } };
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
 }
 
 /**
- * Load rules from JSON file
+ * Describe a governed call for messages, e.g. "github.delete operation on tool github_delete_repo"
+ * @param {GovernedCall} call - Governed call
+ * @returns {string}
+ */
+function describeCall(call) {
+  const suffix = call.event === 'completion' ? ' (completion)' : '';
+  if (call.kind === 'resource') {
+    return `${call.service} resource ${call.resource}${suffix}`;
+  }
+  if (call.kind === 'prompt') {
+    return `${call.service} prompt ${call.prompt}${suffix}`;
+  }
+  return `${call.service}.${call.operation} operation on tool ${call.toolName}`;
+}
+
+/**
+ * Explain a tool's classification for denial messages, e.g.
+ * 'classified as execute: "post" is an execute keyword (also write; execute has priority), confidence 0.6'
+ * @param {GovernedCall} call - Governed call
+ * @returns {string} Empty for resources and prompts
+ */
+function explainClassification(call) {
+  const classification = call.classification;
+  if (!classification) {
+    return '';
+  }
+  const review = classification.review ? ', flagged for review' : '';
+  return `; classified as ${call.operation}: ${classification.explanation}, confidence ${classification.confidence}${review}`;
+}
+
+/**
+ * Read and validate rules from JSON file
+ * @param {string} rulesPath - Path to rules.json
+ * @returns {object} Parsed rules object
+ * @throws {Error} If the file cannot be read, parsed or validated
+ */
+function readRules(rulesPath) {
+  const rulesContent = readFileSync(rulesPath, 'utf-8');
+  const rules = JSON.parse(rulesContent);
+  validateRules(rules);
+  return rules;
+}
+
+/**
+ * Load rules from JSON file, exiting on error
  * @param {string} rulesPath - Path to rules.json
  * @returns {object} Parsed rules object
  */
 function loadRules(rulesPath) {
   try {
-    const rulesContent = readFileSync(rulesPath, 'utf-8');
-    return JSON.parse(rulesContent);
+    return readRules(rulesPath);
   } catch (error) {
     console.error(`Error loading rules file: ${error.message}`);
     process.exit(1);
@@ -124,40 +282,250 @@ function loadRules(rulesPath) {
 }
 
 /**
- * Check if operation is allowed based on rules
+ * Watch the rules file and hand every valid new version to onReload.
+ * Invalid versions are rejected and the last good policy stays active.
+ * @param {string} rulesPath - Path to rules.json
+ * @param {function(object): void} onReload - Called with the new rules object
+ */
+function watchRules(rulesPath, onReload) {
+  // Polling survives editors that replace the file instead of writing in place
+  watchFile(rulesPath, { interval: RULES_WATCH_INTERVAL, persistent: false }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) {
+      return;
+    }
+
+    if (curr.mtimeMs === 0) {
+      logPolicyEvent('POLICY_RELOAD_FAILED', rulesPath, 'rules file removed, keeping last good policy');
+      return;
+    }
+
+    let rules;
+    try {
+      rules = readRules(rulesPath);
+    } catch (error) {
+      logPolicyEvent('POLICY_RELOAD_FAILED', rulesPath, `${error.message}, keeping last good policy`);
+      return;
+    }
+
+    onReload(rules);
+    logPolicyEvent('POLICY_RELOADED', rulesPath);
+  });
+}
+
+/**
+ * Compare two matching rules to decide which one takes precedence.
+ * Order: higher priority → more specific tool match → exact service over "*" → deny over ask over allow.
+ * @param {{ rule: object, specificity: number }} a - Candidate match
+ * @param {{ rule: object, specificity: number }} b - Current best match
+ * @returns {number} Positive if a takes precedence over b, zero if tied
+ */
+function compareMatches(a, b) {
+  return ((a.rule.priority || 0) - (b.rule.priority || 0)) ||
+    (a.specificity - b.specificity) ||
+    (Number(a.rule.service !== '*') - Number(b.rule.service !== '*')) ||
+    (PERMISSION_RANK[a.rule.permission] - PERMISSION_RANK[b.rule.permission]);
+}
+
+/**
+ * Get the permission used when no rule matches.
+ * Order: services[service].defaultPermission → services["*"].defaultPermission → defaultPermission → allow
  * @param {object} rules - Loaded rules object
  * @param {string} service - Service name
- * @param {string} operation - Operation type
- * @returns {boolean} True if allowed, false if denied
+ * @returns {string} Default permission
  */
-function isOperationAllowed(rules, service, operation) {
+function getDefaultPermission(rules, service) {
+  return rules.services?.[service]?.defaultPermission ||
+    rules.services?.['*']?.defaultPermission ||
+    rules.defaultPermission ||
+    'allow';
+}
+
+/**
+ * Evaluate the permission for an operation based on rules, and which schedule window made the
+ * deciding rule apply. Resources and prompts are matched by "resources" and "prompts" rules only;
+ * when none matches, the default permission applies. Rules with a schedule only apply inside it.
+ * @param {object} rules - Loaded rules object
+ * @param {{ kind?: string, service: string, operation: string, toolName?: string, resource?: string, prompt?: string, args?: object }} request - Call being checked
+ * @param {Date} [now] - Time of the call
+ * @returns {{ permission: 'allow'|'deny'|'ask', schedule: string|null }} Permission and matched window label
+ */
+function resolvePermission(rules, { kind = 'tool', service, operation, toolName, resource, prompt, args = {} }, now = new Date()) {
   // Support two rule formats:
-  // 1. Array format (from mcp-gov-wrap): { rules: [{service, operations[], permission}] }
+  // 1. Array format (from mcp-gov-wrap): { rules: [{service, operations?[], tools?[], resources?[], prompts?[], permission, priority?, conditions?}] }
   // 2. Object format (legacy): { services: {service: {operations: {op: permission}}} }
+  const name = kind === 'resource' ? resource : kind === 'prompt' ? prompt : toolName;
 
   // Try array format first (generated by mcp-gov-wrap)
   if (rules.rules && Array.isArray(rules.rules)) {
+    // Every matching rule is considered; compareMatches picks the winner.
+    // Fully tied rules keep file order (first one wins).
+    let best = null;
+
     for (const rule of rules.rules) {
-      if (rule.service === service && rule.operations && rule.operations.includes(operation)) {
-        return rule.permission !== 'deny';
+      if (rule.service !== service && rule.service !== '*') {
+        continue;
+      }
+
+      const specificity = getRequestSpecificity(rule, { kind, name, operation });
+      if (specificity === SPECIFICITY.NONE || !matchesConditions(rule.conditions, args, rule.permission)) {
+        continue;
+      }
+
+      const scheduled = matchSchedule(rule.schedule, now);
+      if (!scheduled) {
+        continue;
+      }
+
+      const candidate = { rule, specificity, window: scheduled.window };
+      if (!best || compareMatches(candidate, best) > 0) {
+        best = candidate;
       }
     }
-    // No matching rule found - default to allow
-    return true;
+
+    return best
+      ? { permission: best.rule.permission, schedule: best.window }
+      : { permission: getDefaultPermission(rules, service), schedule: null };
   }
 
-  // Try object format (legacy)
-  if (!rules.services || !rules.services[service]) {
-    return true;
+  // Object format only has operation rules, which apply to tool calls
+  if (kind !== 'tool') {
+    return { permission: getDefaultPermission(rules, service), schedule: null };
   }
 
-  const serviceRules = rules.services[service];
-  if (!serviceRules.operations || !serviceRules.operations[operation]) {
-    return true;
+  // Try object format (legacy): service entry first, then "*" entry, then defaults
+  const permission = rules.services?.[service]?.operations?.[operation] ||
+    rules.services?.['*']?.operations?.[operation] ||
+    getDefaultPermission(rules, service);
+  return { permission, schedule: null };
+}
+
+/**
+ * Evaluate the permission for an operation based on rules
+ * @param {object} rules - Loaded rules object
+ * @param {object} request - Call being checked (see resolvePermission)
+ * @returns {'allow'|'deny'|'ask'} Permission for the call
+ */
+function evaluatePermission(rules, request) {
+  return resolvePermission(rules, request).permission;
+}
+
+/**
+ * Check if a tool is denied whatever its arguments are and whenever it is called.
+ * Rules with conditions or a schedule only count if they deny, so tools that some arguments
+ * or times could unlock stay visible.
+ * @param {object} rules - Loaded rules object
+ * @param {{ service: string, operation: string, toolName: string }} tool - Tool being listed
+ * @returns {boolean} True if every call to the tool would be denied
+ */
+function isToolAlwaysDenied(rules, tool) {
+  if (!rules.rules || !Array.isArray(rules.rules)) {
+    return evaluatePermission(rules, tool) === 'deny';
+  }
+
+  const mayAllow = rules.rules.some(rule => (rule.conditions?.length || rule.schedule) &&
+    rule.permission !== 'deny' &&
+    (rule.service === tool.service || rule.service === '*') &&
+    getRuleSpecificity(rule, tool.toolName, tool.operation) !== SPECIFICITY.NONE);
+
+  if (mayAllow) {
+    return false;
+  }
+
+  const unconditional = rules.rules.filter(rule => !rule.conditions?.length && !rule.schedule);
+  return evaluatePermission({ ...rules, rules: unconditional }, tool) === 'deny';
+}
+
+/**
+ * Get the enforcement mode for a service.
+ * Order: services[service].mode → services["*"].mode → mode → enforce
+ * @param {object} rules - Loaded rules object
+ * @param {string} service - Service name
+ * @returns {'enforce'|'monitor'} In monitor mode calls are forwarded whatever the decision
+ */
+function getEnforcementMode(rules, service) {
+  return rules.services?.[service]?.mode ||
+    rules.services?.['*']?.mode ||
+    rules.mode ||
+    'enforce';
+}
+
+/**
+ * Get how denied tools are presented in tools/list for a service.
+ * Order: services[service].deniedTools → services["*"].deniedTools → deniedTools → show
+ * @param {object} rules - Loaded rules object
+ * @param {string} service - Service name
+ * @returns {'show'|'hide'|'mark'} Presentation mode (show = unchanged)
+ */
+function getDeniedToolsMode(rules, service) {
+  return rules.services?.[service]?.deniedTools || rules.services?.['*']?.deniedTools || rules.deniedTools || 'show';
+}
+
+/**
+ * Get what happens to tools whose definition differs from the pinned inventory.
+ * Order: services[service].toolChanges → services["*"].toolChanges → toolChanges → warn
+ * @param {object} rules - Loaded rules object
+ * @param {string} service - Service name
+ * @returns {'warn'|'hide'|'deny'} warn = log only, hide = drop from tools/list and deny calls, deny = deny calls
+ */
+function getToolChangePolicy(rules, service) {
+  return rules.services?.[service]?.toolChanges ||
+    rules.services?.['*']?.toolChanges ||
+    rules.toolChanges ||
+    'warn';
+}
+
+/**
+ * Denial reason for a call to a tool that is not pinned as listed
+ * @param {string} service - Service name
+ * @param {{ status: 'changed'|'added' }} change - Detected change
+ * @returns {string}
+ */
+function describeToolChange(service, change) {
+  const what = change.status === 'changed' ? 'tool definition changed since it was pinned' : 'tool is not in the pinned inventory';
+  return `${what}; review with "mcp-gov tools" and pin with "mcp-gov tools accept ${service}"`;
+}
+
+/**
+ * Remove or mark denied tools in a tools/list result
+ * @param {object[]} tools - Tools from the target's tools/list result
+ * @param {object} rules - Loaded rules object
+ * @param {string|undefined} serviceName - Service name from --service
+ * @returns {object[]} Tools to show the client
+ */
+function filterToolsList(tools, rules, serviceName) {
+  const visible = [];
+  const aliases = resolveServiceAliases(rules.services);
+
+  for (const tool of tools) {
+    const service = serviceName || extractService(tool.name, { aliases });
+    // Nothing is blocked in monitor mode, so every tool stays callable
+    const mode = getEnforcementMode(rules, service) === 'monitor' ? 'show' : getDeniedToolsMode(rules, service);
+
+    const options = resolveClassifyOptions(rules, service);
+    // Tools whose trusted arguments decide the operation ("execute_sql") are hidden only if every operation is denied
+    const operations = isArgumentSensitive(tool.name, tool, options)
+      ? ARGUMENT_OPERATIONS
+      : [detectOperation(tool.name, { annotations: tool.annotations, definition: tool, ...options })];
+
+    if (mode === 'show' || !operations.every(operation => isToolAlwaysDenied(rules, { service, operation, toolName: tool.name }))) {
+      visible.push(tool);
+    } else if (mode === 'mark') {
+      visible.push({ ...tool, description: `[MCP-GOV: denied by policy] ${tool.description || ''}`.trim() });
+    }
   }
 
-  const permission = serviceRules.operations[operation];
-  return permission !== 'deny';
+  return visible;
+}
+
+/**
+ * Check if any service in the rules filters tools/list
+ * @param {object} rules - Loaded rules object
+ * @returns {boolean}
+ */
+function isToolFilteringEnabled(rules) {
+  return (rules.deniedTools && rules.deniedTools !== 'show') || rules.toolChanges === 'hide' ||
+    Object.values(rules.services || {}).some(settings => (settings?.deniedTools && settings.deniedTools !== 'show') ||
+      settings?.toolChanges === 'hide');
 }
 
 /**
@@ -178,43 +546,178 @@ function createErrorResponse(id, message) {
   return JSON.stringify(response);
 }
 
+/**
+ * Build elicitation/create params asking the human to approve a call
+ * @param {GovernedCall} call - Call awaiting approval
+ * @returns {object} elicitation/create params
+ */
+function createApprovalElicitation(call) {
+  const subject = call.toolName || call.resource || call.prompt;
+  return {
+    message: `[MCP-GOV] Approve ${describeCall(call)}?\n` +
+      (call.classification?.review
+        ? `Low-confidence classification: ${call.classification.explanation} (confidence ${call.classification.confidence})\n`
+        : '') +
+      `Arguments: ${JSON.stringify(call.args || {}, null, 2)}`,
+    requestedSchema: {
+      type: 'object',
+      properties: {
+        approve: {
+          type: 'boolean',
+          title: 'Approve',
+          description: call.kind === 'tool'
+            ? `Allow ${subject} to run with these arguments`
+            : `Allow access to ${subject}`
+        }
+      },
+      required: ['approve']
+    }
+  };
+}
+
+/**
+ * Interpret the client's reply to an approval elicitation
+ * @param {object} response - JSON-RPC response from the client
+ * @returns {{ approved: boolean, reason?: string }}
+ */
+function parseApprovalResponse(response) {
+  if (response.error) {
+    return { approved: false, reason: `approval request failed: ${response.error.message}` };
+  }
+
+  const { action, content } = response.result || {};
+  if (action === 'accept' && content?.approve !== false) {
+    return { approved: true };
+  }
+
+  return { approved: false, reason: `rejected by user (${action === 'accept' ? 'not approved' : action || 'no answer'})` };
+}
+
 /** @type {string|null} */
 let auditLogPath = null;
 
+// Signs audit entries when ~/.mcp-gov/audit.key exists
+let auditKey = null;
+
+// Rotation policy from the rules file's "auditLog" setting
+let auditRotation = resolveRotationPolicy();
+
+// Argument names and paths the rules file redacts for this service
+let redactFields = [];
+
+// Identifies this proxy process in audit entries
+const sessionId = createSessionId();
+
 /**
- * Log audit information to stderr and optionally to file
- * @param {string} toolName - Tool name
- * @param {string} service - Service name
- * @param {string} operation - Operation type
- * @param {boolean} allowed - Whether operation was allowed
+ * Audit entry fields that identify a governed call
+ * @param {GovernedCall} call - Governed call
+ * @returns {object} Fields for writeAuditEntry
  */
-function logAudit(toolName, service, operation, allowed) {
+function callFields(call) {
+  return {
+    event: call.event,
+    service: call.service,
+    tool: call.toolName,
+    resource: call.resource,
+    prompt: call.prompt,
+    operation: call.operation,
+    classification: call.classification,
+    schedule: call.schedule,
+    args: call.args
+  };
+}
+
+/**
+ * Write a structured JSONL entry to the audit log file, if configured
+ * @param {object} fields - Audit entry fields (see src/audit-log.js)
+ */
+function writeAuditEntry(fields) {
+  if (!auditLogPath) {
+    return;
+  }
+
+  try {
+    appendAuditEntry(auditLogPath, createAuditEntry({ sessionId, ...fields }, { redactFields }), {
+      hmacKey: auditKey,
+      rotation: auditRotation
+    });
+  } catch (e) {
+    console.error(`[AUDIT] Warning: Failed to write to log file: ${e.message}`);
+  }
+}
+
+/**
+ * Log a decision to stderr (the structured entry is written when the call completes)
+ * @param {GovernedCall} call - Governed call
+ * @param {'ALLOWED'|'DENIED'|'APPROVED'|'REJECTED'|'WOULD_DENY'|'WOULD_ASK'} status - Decision; APPROVED/REJECTED
+ *   for "ask" calls, WOULD_DENY/WOULD_ASK for calls forwarded in monitor mode
+ */
+function logAudit(call, status) {
   const timestamp = new Date().toISOString();
-  const status = allowed ? 'ALLOWED' : 'DENIED';
   const projectPath = process.cwd();
-  const logLine = `[AUDIT] ${timestamp} | ${status} | tool=${toolName} | service=${service} | operation=${operation} | project=${projectPath}`;
+  const subject = call.kind === 'resource' ? `resource=${redactText(call.resource)}`
+    : call.kind === 'prompt' ? `prompt=${redactText(call.prompt)}`
+      : `tool=${redactText(call.toolName)}`;
+  const event = call.kind === 'tool' ? '' : ` | event=${call.event}`;
+  const schedule = call.schedule ? ` | schedule=${call.schedule}` : '';
+  const review = call.classification?.review ? ` | review=confidence ${call.classification.confidence}` : '';
+  const logLine = `[AUDIT] ${timestamp} | ${status}${event} | ${subject} | service=${call.service} | operation=${call.operation}${review}${schedule} | project=${projectPath}`;
 
-  // Always log to stderr
   console.error(logLine);
+}
 
-  // Also log to file if configured
-  if (auditLogPath) {
-    try {
-      appendFileSync(auditLogPath, logLine + '\n');
-    } catch (e) {
-      console.error(`[AUDIT] Warning: Failed to write to log file: ${e.message}`);
-    }
+/**
+ * Log a policy lifecycle event (reload, rejected reload) to stderr and the audit log file
+ * @param {'POLICY_RELOADED'|'POLICY_RELOAD_FAILED'} status - Event status
+ * @param {string} rulesPath - Path to rules.json
+ * @param {string} [detail] - Optional detail message
+ */
+function logPolicyEvent(status, rulesPath, detail) {
+  const timestamp = new Date().toISOString();
+  const projectPath = process.cwd();
+  let logLine = `[AUDIT] ${timestamp} | ${status} | rules=${rulesPath} | project=${projectPath}`;
+  if (detail) {
+    logLine += ` | detail=${redactText(detail)}`;
   }
+
+  console.error(logLine);
+
+  writeAuditEntry({
+    event: status.toLowerCase(),
+    detail: detail ? `rules=${rulesPath}: ${detail}` : `rules=${rulesPath}`
+  });
+}
+
+/**
+ * Log tool definitions that differ from the pinned inventory to stderr and the audit log file
+ * @param {string} service - Service name
+ * @param {{ name: string, status: 'changed'|'added' }[]} changes - Newly seen changes
+ * @param {'warn'|'hide'|'deny'} policy - What the proxy does with them
+ */
+function logToolChanges(service, changes, policy) {
+  const timestamp = new Date().toISOString();
+  const projectPath = process.cwd();
+  const tools = changes.map(change => `${change.name} (${change.status})`).join(', ');
+
+  console.error(`[AUDIT] ${timestamp} | TOOLS_CHANGED | service=${service} | tools=${tools} | policy=${policy} | project=${projectPath}`);
+  console.error(`[MCP-GOV] Warning: ${changes.length} tool definition(s) of ${service} differ from the pinned inventory. ` +
+    `Review with "mcp-gov tools", pin with "mcp-gov tools accept ${service}"`);
+
+  writeAuditEntry({
+    event: 'tools_changed',
+    service,
+    detail: `${tools}; policy ${policy}`
+  });
 }
 
 /**
  * Start the proxy server
  * @param {string} serviceName - Service name for rule matching
- * @param {string} targetCommand - Command to spawn target MCP server
+ * @param {string[]} targetArgv - Command and arguments to spawn the target MCP server
  * @param {string} rulesPath - Path to rules.json file
  * @param {string} logPath - Path to audit log file (optional override)
  */
-function startProxy(serviceName, targetCommand, rulesPath, logPath) {
+function startProxy(serviceName, targetArgv, rulesPath, logPath) {
   // Set up audit logging - organize by service
   // Default: ~/.mcp-gov/logs/<service>.log
   if (logPath) {
@@ -231,15 +734,30 @@ function startProxy(serviceName, targetCommand, rulesPath, logPath) {
     mkdirSync(logDir, { recursive: true });
   }
 
-  // Load rules file
-  const rules = loadRules(rulesPath);
+  try {
+    auditKey = loadAuditKey();
+  } catch (e) {
+    console.error(`[AUDIT] Warning: Failed to read audit key, entries will not be signed: ${e.message}`);
+  }
+
+  // Load rules file and swap in new versions as they are saved
+  let rules = loadRules(rulesPath);
+  auditRotation = resolveRotationPolicy(rules.auditLog);
+  redactFields = getRedactionFields(rules, serviceName);
+  watchRules(rulesPath, (newRules) => {
+    const filtering = isToolFilteringEnabled(rules) || isToolFilteringEnabled(newRules);
+    rules = newRules;
+    auditRotation = resolveRotationPolicy(rules.auditLog);
+    redactFields = getRedactionFields(rules, serviceName);
 
-  // Parse the target command (handle both "node server.js" and single commands)
-  const commandParts = targetCommand.split(/\s+/);
-  const command = commandParts[0];
-  const args = commandParts.slice(1);
+    // The set of visible tools may have changed
+    if (filtering) {
+      console.log(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }));
+    }
+  });
 
   // Spawn the target MCP server
+  const [command, ...args] = targetArgv;
   const targetServer = spawn(command, args, {
     stdio: ['pipe', 'pipe', 'pipe'],
   });
@@ -264,62 +782,387 @@ function startProxy(serviceName, targetCommand, rulesPath, logPath) {
     process.stderr.write(data);
   });
 
+  // Requests sent to the client (from the target or from the proxy itself) get proxy-assigned ids
+  // so the proxy's own requests can never collide with the target's.
+  /** @type {Map<string, { originalId?: number|string, resolve?: function(object): void, timer?: NodeJS.Timeout }>} */
+  const pendingClientRequests = new Map();
+  let nextClientRequestId = 1;
+
+  /**
+   * Send a request of the proxy's own to the client
+   * @param {string} method - JSON-RPC method
+   * @param {object} params - Request params
+   * @param {number} timeoutSeconds - How long to wait for the client's response
+   * @returns {Promise<object>} Client's JSON-RPC response, or an error response with timedOut set when the client
+   *   does not answer in time
+   */
+  function sendClientRequest(method, params, timeoutSeconds) {
+    const id = `mcp-gov-${nextClientRequestId++}`;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        pendingClientRequests.delete(id);
+        resolve({ jsonrpc: '2.0', id, error: { code: -32001, message: `no response within ${timeoutSeconds}s` }, timedOut: true });
+      }, timeoutSeconds * 1000);
+      pendingClientRequests.set(id, { resolve, timer });
+      console.log(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    });
+  }
+
+  // Capabilities declared by the client in its initialize request
+  let clientCapabilities = {};
+
+  // Ids of client requests whose responses the proxy rewrites
+  let initializeId = null;
+  const toolsListIds = new Set();
+
+  // Tool definitions from the target's tools/list results, by name. Their annotations
+  // (readOnlyHint, destructiveHint) are merged with keyword detection; descriptions and
+  // input schemas classify tools whose name has no operation keyword.
+  /** @type {Map<string, object>} */
+  const toolDefinitions = new Map();
+
+  /**
+   * Classify a tool call from its name, arguments, cached definition and the rules file's categories and overrides, flagging it
+   * for review when the confidence is below the service's lowConfidence threshold
+   * @param {string} service - Service name
+   * @param {string} toolName - Tool name
+   * @param {Object} [args] - Call arguments
+   * @returns {import('../src/operation-detector.js').Classification}
+   */
+  function classifyTool(service, toolName, args) {
+    const definition = toolDefinitions.get(toolName);
+    const classification = classifyOperation(toolName, {
+      annotations: definition?.annotations,
+      definition,
+      args,
+      ...resolveClassifyOptions(rules, service)
+    });
+    const review = classification.confidence < resolveLowConfidence(rules, service).threshold;
+    return review ? { ...classification, review } : classification;
+  }
+
+  // Listed tools whose definition is not pinned (only for services with a pinned inventory), by name
+  /** @type {Map<string, import('../src/tool-pins.js').ToolChange>} */
+  const toolChanges = new Map();
+  // "<name> <hash>" of changes already logged, so each is reported once per session
+  const reportedToolChanges = new Set();
+
+  /**
+   * Compare a tools/list result with the pinned inventory, log new differences
+   * and record them for review with `mcp-gov tools`
+   * @param {object[]} tools - Tools from the target's tools/list result
+   */
+  function checkToolPins(tools) {
+    let servicePins;
+    let changes;
+    try {
+      servicePins = readToolPins().services[serviceName];
+      changes = compareToolPins(servicePins, tools);
+      recordPendingTools(serviceName, changes);
+    } catch (error) {
+      console.error(`[MCP-GOV] Warning: Failed to check pinned tool definitions: ${error.message}`);
+      return;
+    }
+
+    toolChanges.clear();
+    // Without an inventory there is nothing to compare against; `mcp-gov tools accept` creates one
+    if (!hasPinnedTools(servicePins)) {
+      return;
+    }
+
+    for (const change of changes) {
+      toolChanges.set(change.name, change);
+    }
+
+    const unreported = changes.filter(change => !reportedToolChanges.has(`${change.name} ${change.hash}`));
+    if (unreported.length > 0) {
+      unreported.forEach(change => reportedToolChanges.add(`${change.name} ${change.hash}`));
+      logToolChanges(serviceName, unreported, getToolChangePolicy(rules, serviceName));
+    }
+  }
+
+  /**
+   * Get the unpinned change that blocks a tool under the current policy
+   * @param {string} toolName - Tool name
+   * @returns {import('../src/tool-pins.js').ToolChange|null} Change, or null if the tool may be called
+   */
+  function getBlockingToolChange(toolName) {
+    const change = toolChanges.get(toolName);
+    if (!change || getToolChangePolicy(rules, serviceName) === 'warn') {
+      return null;
+    }
+
+    // Accepted with `mcp-gov tools accept` since it was listed
+    try {
+      if (readToolPins().services[serviceName]?.tools?.[toolName]?.hash === change.hash) {
+        toolChanges.delete(toolName);
+        return null;
+      }
+    } catch (error) {
+      // Unreadable inventory - keep blocking
+    }
+    return change;
+  }
+
+  // Forwarded governed requests awaiting the target's response, by JSON-RPC id
+  /** @type {Map<number|string, { call: object, decision: string, receivedAt: number }>} */
+  const pendingCalls = new Map();
+
+  /**
+   * Ask the human to approve a call via MCP elicitation, falling back to
+   * the out-of-band approval queue when the client cannot elicit
+   * @param {GovernedCall} call - Call awaiting approval
+   * @returns {Promise<{ approved: boolean, reason?: string }>}
+   */
+  async function requestApproval(call) {
+    const timeoutSeconds = rules.approvalTimeout || DEFAULT_APPROVAL_TIMEOUT;
+
+    if (clientCapabilities.elicitation) {
+      const response = await sendClientRequest('elicitation/create', createApprovalElicitation(call), timeoutSeconds);
+      if (response.timedOut) {
+        return { approved: false, reason: `approval request timed out after ${timeoutSeconds}s` };
+      }
+      if (!response.error) {
+        return parseApprovalResponse(response);
+      }
+      console.error(`[MCP-GOV] Elicitation failed (${response.error.message}), using approval queue`);
+    }
+
+    // The approver needs the full arguments to decide; queue files are readable by their owner only
+    const entry = enqueueApproval({
+      tool: redactText(call.toolName),
+      resource: redactText(call.resource),
+      prompt: redactText(call.prompt),
+      service: call.service,
+      operation: call.operation,
+      arguments: call.args || {}
+    }, { timeoutSeconds });
+
+    console.error(`[MCP-GOV] Approval required for ${entry.tool || entry.resource || entry.prompt} (${entry.id}): ` +
+      `run "mcp-gov approve ${entry.id}" or "mcp-gov reject ${entry.id}" within ${timeoutSeconds}s`);
+
+    return waitForDecision(entry);
+  }
+
   // Forward stdout from target server to our stdout (line by line)
   targetRl.on('line', (line) => {
-    // For now, just forward everything (interception logic comes in later tasks)
+    const message = parseJsonRpcMessage(line);
+
+    if (message && message.id !== undefined) {
+      // Request from target to client - remap its id
+      const id = `mcp-gov-${nextClientRequestId++}`;
+      pendingClientRequests.set(id, { originalId: message.id });
+      console.log(JSON.stringify({ ...message, id }));
+      return;
+    }
+
+    const response = parseJsonRpcResponse(line);
+
+    if (response && pendingCalls.has(response.id)) {
+      // Correlate the target's response with the audited call
+      const { call, decision, receivedAt } = pendingCalls.get(response.id);
+      pendingCalls.delete(response.id);
+
+      const toolError = response.result?.isError
+        ? response.result.content?.find(c => c.type === 'text')?.text || 'Tool returned an error'
+        : null;
+
+      writeAuditEntry({
+        ...callFields(call),
+        requestId: response.id,
+        decision,
+        durationMs: Date.now() - receivedAt,
+        success: !response.error && !toolError,
+        error: response.error?.message || toolError,
+        responseSize: Buffer.byteLength(line)
+      });
+    }
+
+    if (response && response.id === initializeId) {
+      initializeId = null;
+      if (response.result?.capabilities?.tools && isToolFilteringEnabled(rules)) {
+        // Announce list_changed so clients refetch tools after a rules reload
+        response.result.capabilities.tools = { ...response.result.capabilities.tools, listChanged: true };
+        console.log(JSON.stringify(response));
+        return;
+      }
+    }
+
+    if (response && toolsListIds.has(response.id)) {
+      toolsListIds.delete(response.id);
+      if (Array.isArray(response.result?.tools)) {
+        let tools = response.result.tools;
+        for (const tool of tools) {
+          toolDefinitions.set(tool.name, tool);
+        }
+        if (serviceName) {
+          checkToolPins(tools);
+          if (getToolChangePolicy(rules, serviceName) === 'hide' && getEnforcementMode(rules, serviceName) !== 'monitor') {
+            tools = tools.filter(tool => !toolChanges.has(tool.name));
+          }
+        }
+        response.result.tools = filterToolsList(tools, rules, serviceName);
+        console.log(JSON.stringify(response));
+        return;
+      }
+    }
+
     console.log(line);
   });
 
   // Process stdin messages
   rl.on('line', (line) => {
+    // Responses to requests sent to the client go back to whoever sent them
+    const response = parseJsonRpcResponse(line);
+    if (response && pendingClientRequests.has(response.id)) {
+      const pending = pendingClientRequests.get(response.id);
+      pendingClientRequests.delete(response.id);
+
+      if (pending.resolve) {
+        clearTimeout(pending.timer);
+        pending.resolve(response);
+      } else {
+        targetServer.stdin.write(JSON.stringify({ ...response, id: pending.originalId }) + '\n');
+      }
+      return;
+    }
+
     // Parse JSON-RPC message
     const message = parseJsonRpcMessage(line);
 
-    if (isToolsCallMessage(message)) {
-      // Extract tool name from params
-      const toolName = message.params?.name;
+    if (message && message.method === 'initialize') {
+      clientCapabilities = message.params?.capabilities || {};
+      initializeId = message.id;
+    }
 
-      if (toolName) {
-        // Use provided service name, fallback to extracting from tool name for backward compatibility
-        const service = serviceName || extractService(toolName);
-        const operation = detectOperation(toolName);
+    if (message && message.method === 'tools/list' && message.id !== undefined) {
+      toolsListIds.add(message.id);
+    }
+
+    const call = getGovernedCall(message, serviceName, classifyTool, resolveServiceAliases(rules.services));
 
-        // Check permissions
-        const allowed = isOperationAllowed(rules, service, operation);
+    if (call) {
+      const receivedAt = Date.now();
 
-        // Log audit information
-        logAudit(toolName, service, operation, allowed);
+      const forward = (decision) => {
+        if (message.id !== undefined) {
+          pendingCalls.set(message.id, { call, decision, receivedAt });
+        }
+        targetServer.stdin.write(line + '\n');
+      };
 
-        if (allowed) {
-          // Allowed - forward to target server
-          targetServer.stdin.write(line + '\n');
+      const deny = (decision, reason) => {
+        const detail = reason ? ` (${reason})` : '';
+        const errorMessage = `[MCP-GOV] Permission denied: ${describeCall(call)}${detail}${explainClassification(call)}`;
+
+        writeAuditEntry({
+          ...callFields(call),
+          requestId: message.id,
+          decision,
+          durationMs: Date.now() - receivedAt,
+          success: false,
+          error: errorMessage
+        });
+
+        console.log(createErrorResponse(message.id, errorMessage));
+      };
+
+      // Check permissions at call time; the matched schedule window goes into the audit entry
+      const { schedule, ...resolved } = resolvePermission(rules, call, new Date(receivedAt));
+      call.schedule = schedule;
+      // A resource URI whose ".." climbs above its root could name anything, so no rule can allow it
+      const escapesRoot = call.kind === 'resource' && normalizeUri(call.resource) === null;
+      // Allowed calls the detector is unsure about can be held for approval
+      const permission = escapesRoot ? 'deny'
+        : resolved.permission === 'allow' && call.classification?.review &&
+          resolveLowConfidence(rules, call.service).action === 'ask' ? 'ask' : resolved.permission;
+      const monitor = getEnforcementMode(rules, call.service) === 'monitor';
+      const toolChange = call.kind === 'tool' && serviceName ? getBlockingToolChange(call.toolName) : null;
+
+      // Calls the policy lets through still count against rate limits and quotas
+      const forwardWithinLimits = (decision, status) => {
+        let exceeded = null;
+        try {
+          exceeded = consumeRateLimits(rules.limits, call);
+        } catch (error) {
+          console.error(`[MCP-GOV] Warning: Failed to update rate limit counters: ${error.message}`);
+        }
+
+        if (!exceeded) {
+          logAudit(call, status);
+          forward(decision);
+        } else if (monitor) {
+          logAudit(call, 'WOULD_DENY');
+          forward('would_deny');
         } else {
-          // Denied - send error response
-          const errorResponse = createErrorResponse(
-            message.id,
-            `[MCP-GOV] Permission denied: ${service}.${operation} operation on tool ${toolName}`
-          );
-          console.log(errorResponse);
+          logAudit(call, 'DENIED');
+          deny('denied', `rate limit: ${describeLimit(exceeded.limit)}; resets at ${exceeded.resetsAt}`);
         }
+      };
+
+      if (toolChange && !monitor) {
+        // The server changed or added the tool since its definitions were pinned
+        logAudit(call, 'DENIED');
+        deny('denied', describeToolChange(serviceName, toolChange));
+      } else if ((permission !== 'allow' || toolChange) && monitor) {
+        // Dry run: record what enforcement would have done and forward anyway
+        const status = permission === 'ask' && !toolChange && call.event !== 'completion' ? 'WOULD_ASK' : 'WOULD_DENY';
+        logAudit(call, status);
+        forward(status.toLowerCase());
+      } else if (permission === 'ask' && call.event === 'completion') {
+        // Completions fire as the user types, so they are never held for approval
+        logAudit(call, 'DENIED');
+        deny('denied', 'approval is not requested for completions');
+      } else if (permission === 'ask') {
+        // Pause the call until the human approves or rejects it
+        requestApproval(call).then(({ approved, reason }) => {
+          if (approved) {
+            forwardWithinLimits('approved', 'APPROVED');
+          } else {
+            logAudit(call, 'REJECTED');
+            deny('rejected', reason);
+          }
+        }, (error) => {
+          // E.g. the approval queue cannot be written: without a decision the call is denied
+          console.error(`[MCP-GOV] Approval request failed: ${error.message}`);
+          logAudit(call, 'DENIED');
+          deny('denied', `approval request failed: ${error.message}`);
+        });
+      } else if (permission === 'deny') {
+        // Denied - send error response
+        logAudit(call, 'DENIED');
+        deny('denied', escapesRoot ? 'resource URI climbs above its root' : schedule ? `schedule: ${schedule}` : undefined);
       } else {
-        // No tool name, forward anyway
-        targetServer.stdin.write(line + '\n');
+        // Allowed - forward to target server
+        forwardWithinLimits('allowed', 'ALLOWED');
       }
     } else {
-      // Forward non-tools/call messages directly
+      // Forward everything else (and requests without a tool, resource or prompt name) directly
       targetServer.stdin.write(line + '\n');
     }
   });
 
   // Handle target server exit
   targetServer.on('close', (code) => {
+    // Calls the target never answered still get an audit entry
+    for (const [requestId, { call, decision, receivedAt }] of pendingCalls) {
+      writeAuditEntry({
+        ...callFields(call),
+        requestId,
+        decision,
+        durationMs: Date.now() - receivedAt,
+        success: false,
+        error: `Target server exited with code ${code} before responding`
+      });
+    }
+
     console.error(`Target server exited with code ${code}`);
     process.exit(code || 0);
   });
 
   // Handle target server errors
   targetServer.on('error', (error) => {
-    console.error(`Error spawning target server: ${error.message}`);
+    console.error(`Error spawning target server (${formatCommandLine(targetArgv)}): ${error.message}`);
     process.exit(1);
   });
 
@@ -344,8 +1187,23 @@ function main() {
     process.exit(0);
   }
 
-  if (!args.target) {
-    console.error('Error: --target is required');
+  if (args.target !== undefined && args.targetArgv.length > 0) {
+    console.error('Error: use either --target or a command after "--", not both');
+    process.exit(1);
+  }
+
+  let targetArgv = args.targetArgv;
+  if (args.target !== undefined) {
+    try {
+      targetArgv = splitCommandLine(args.target);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (targetArgv.length === 0) {
+    console.error('Error: a target command is required (after "--", or with --target)');
     console.error('Run with --help for usage information');
     process.exit(1);
   }
@@ -356,7 +1214,7 @@ function main() {
     process.exit(1);
   }
 
-  startProxy(args.service, args.target, args.rules, args.log);
+  startProxy(args.service, targetArgv, args.rules, args.log);
 }
 
 main();
@@ -11,7 +11,10 @@ import { exec, spawn } from 'node:child_process';
 import { promisify } from 'node:util';
 import { resolve, dirname, join } from 'node:path';
 import { homedir } from 'node:os';
-import { extractService, detectOperation } from '../src/operation-detector.js';
+import { extractService, detectOperation, classifyOperation, operationFromAnnotations, resolveClassifyOptions } from '../src/operation-detector.js';
+import { DEFAULT_TAXONOMY } from '../src/operation-taxonomy.js';
+import { validateRules } from '../src/rules-validator.js';
+import { pinTools, readToolPins } from '../src/tool-pins.js';
 
 const execAsync = promisify(exec);
 
@@ -187,28 +190,22 @@ function loadAndValidateRules(rulesPath) {
     throw new Error('Rules file must contain a "rules" array');
   }
 
-  // Validate each rule
-  rulesData.rules.forEach((rule, index) => {
-    if (!rule.service) {
-      throw new Error(`Rule at index ${index}: "service" field is required`);
-    }
-
-    if (!rule.operations || !Array.isArray(rule.operations)) {
-      throw new Error(`Rule at index ${index}: "operations" field is required and must be an array`);
-    }
-
-    if (!rule.permission) {
-      throw new Error(`Rule at index ${index}: "permission" field is required`);
-    }
-
-    if (rule.permission !== 'allow' && rule.permission !== 'deny') {
-      throw new Error(`Rule at index ${index}: "permission" must be "allow" or "deny", got "${rule.permission}"`);
-    }
-  });
+  // Validate each rule and the default policy
+  validateRules(rulesData);
 
   return rulesData;
 }
 
+/**
+ * Check if a server is started by a command. Remote servers (with a "url") are not,
+ * and cannot run behind mcp-gov-proxy.
+ * @param {Object} serverConfig - Server configuration object
+ * @returns {boolean} True if the server has a command
+ */
+function hasCommand(serverConfig) {
+  return typeof serverConfig?.command === 'string' && serverConfig.command !== '';
+}
+
 /**
  * Check if a server is already wrapped with mcp-gov-proxy
  * @param {Object} serverConfig - Server configuration object
@@ -222,50 +219,51 @@ function isServerWrapped(serverConfig) {
 }
 
 /**
- * Detect unwrapped servers in config
+ * Detect unwrapped servers in config. Entries without a command (remote servers with a "url")
+ * cannot be run behind the proxy and are listed separately.
  * @param {Object} mcpServers - MCP servers configuration
- * @returns {{ wrapped: string[], unwrapped: string[] }} Lists of wrapped and unwrapped server names
+ * @returns {{ wrapped: string[], unwrapped: string[], skipped: string[] }} Lists of server names
  */
 function detectUnwrappedServers(mcpServers) {
   const wrapped = [];
   const unwrapped = [];
+  const skipped = [];
 
   for (const [serverName, serverConfig] of Object.entries(mcpServers)) {
     if (isServerWrapped(serverConfig)) {
       wrapped.push(serverName);
+    } else if (!hasCommand(serverConfig)) {
+      skipped.push(serverName);
     } else {
       unwrapped.push(serverName);
     }
   }
 
-  return { wrapped, unwrapped };
+  return { wrapped, unwrapped, skipped };
 }
 
 /**
- * Wrap a server configuration with mcp-gov-proxy
+ * Wrap a server configuration with mcp-gov-proxy.
+ * The original command and args follow "--" unchanged, so arguments with spaces, quotes or JSON survive.
  * @param {string} serverName - Name of the server (key in mcpServers)
  * @param {Object} serverConfig - Original server configuration
  * @param {string} rulesPath - Absolute path to rules.json
  * @returns {Object} Wrapped server configuration
+ * @throws {Error} If the server has no command to run
  */
 function wrapServer(serverName, serverConfig, rulesPath) {
-  // Build target command from original config
-  let targetCommand = serverConfig.command || '';
-
-  // Append original args if they exist
-  if (serverConfig.args && Array.isArray(serverConfig.args)) {
-    targetCommand += ' ' + serverConfig.args.join(' ');
+  if (!hasCommand(serverConfig)) {
+    throw new Error(`Server "${serverName}" has no "command" to run behind the proxy`);
   }
-
-  targetCommand = targetCommand.trim();
+  const originalArgs = Array.isArray(serverConfig.args) ? serverConfig.args : [];
 
   // Create wrapped configuration
   const wrappedConfig = {
     command: 'mcp-gov-proxy',
     args: [
       '--service', serverName,
-      '--target', targetCommand,
-      '--rules', rulesPath
+      '--rules', rulesPath,
+      '--', serverConfig.command, ...originalArgs
     ],
     _original: {
       command: serverConfig.command,
@@ -281,6 +279,27 @@ function wrapServer(serverName, serverConfig, rulesPath) {
   return wrappedConfig;
 }
 
+/**
+ * Rewrite a server wrapped in the older "--target <string>" form so the target follows "--" as argv.
+ * Only possible when the original command is known from _original.
+ * @param {Object} serverConfig - Wrapped server configuration
+ * @returns {Object|null} Upgraded configuration, or null if no upgrade is needed or possible
+ */
+function upgradeWrappedServer(serverConfig) {
+  const args = Array.isArray(serverConfig.args) ? serverConfig.args : [];
+  const targetIndex = args.findIndex(arg => arg === '--target' || arg === '-t');
+
+  if (targetIndex === -1 || args.includes('--') || !serverConfig._original?.command) {
+    return null;
+  }
+
+  const upgradedArgs = args.filter((arg, index) => index !== targetIndex && index !== targetIndex + 1);
+  return {
+    ...serverConfig,
+    args: [...upgradedArgs, '--', serverConfig._original.command, ...(serverConfig._original.args || [])]
+  };
+}
+
 /**
  * Create a timestamped backup of the config file
  * @param {string} configPath - Path to config file
@@ -336,7 +355,7 @@ function wrapServers(config, unwrappedNames, rulesPath) {
  * Discover tools from an MCP server by spawning it and querying tools/list
  * @param {Object} serverConfig - Server configuration {command, args}
  * @param {string} serverName - Name of the server
- * @returns {Promise<string[]>} Array of tool names
+ * @returns {Promise<Object[]>} Tool definitions as listed by the server
  */
 async function discoverServerTools(serverConfig, serverName) {
   return new Promise((resolve, reject) => {
@@ -382,7 +401,7 @@ async function discoverServerTools(serverConfig, serverName) {
         try {
           const response = JSON.parse(line);
           if (response.id === 1 && response.result && response.result.tools) {
-            toolsList = response.result.tools.map(t => t.name);
+            toolsList = response.result.tools;
             clearTimeout(timeout);
             child.kill();
             resolve(toolsList);
@@ -411,12 +430,37 @@ async function discoverServerTools(serverConfig, serverName) {
 }
 
 /**
- * Generate default rules for a service with safe defaults
+ * Discover a server's tools and pin their definitions, so the proxy can detect later changes
+ * @param {Object} serverConfig - Server configuration {command, args}
+ * @param {string} serverName - Name of the server (the proxy's --service)
+ * @returns {Promise<Object[]>} Discovered tool definitions
+ */
+async function discoverAndPinTools(serverConfig, serverName) {
+  const tools = await discoverServerTools(serverConfig, serverName);
+
+  if (tools.length > 0) {
+    try {
+      pinTools(serverName, tools);
+    } catch (error) {
+      console.error(`  Warning: Failed to pin tool definitions of ${serverName}: ${error.message}`);
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Generate default rules for a service with safe defaults.
+ * Tools whose annotations change the operation their name suggests get a tool rule of their own,
+ * so the proxy classifies them the same way before it has seen a tools/list.
+ * Categories from the rules file get rules too; their "permission" (default deny) sets the rule permission.
+ * Tools named in "classifications" are grouped under their override.
  * @param {string} serviceName - Service name
- * @param {string[]} tools - Array of tool names
+ * @param {Object[]} tools - Discovered tool definitions ({ name, description?, inputSchema?, annotations? })
+ * @param {import('../src/operation-detector.js').ClassifyOptions} [options] - Annotation trust, categories and overrides
  * @returns {Object[]} Array of rule objects
  */
-function generateDefaultRules(serviceName, tools) {
+function generateDefaultRules(serviceName, tools, { trust = 'escalate', taxonomy = DEFAULT_TAXONOMY, classifications } = {}) {
   const rules = [];
   const safeDefaults = {
     read: 'allow',
@@ -425,6 +469,9 @@ function generateDefaultRules(serviceName, tools) {
     execute: 'deny',
     admin: 'deny'
   };
+  for (const category of taxonomy.order) {
+    safeDefaults[category] = taxonomy.categories[category]?.permission || safeDefaults[category] || 'deny';
+  }
 
   if (tools.length === 0) {
     // No tools discovered, create service-level rules
@@ -440,12 +487,32 @@ function generateDefaultRules(serviceName, tools) {
     }
   } else {
     // Create rules based on discovered tools
-    const toolsByOperation = { read: [], write: [], delete: [], execute: [], admin: [] };
+    const toolsByOperation = Object.fromEntries(Object.keys(safeDefaults).map(operation => [operation, []]));
 
-    tools.forEach(toolName => {
-      const operation = detectOperation(toolName);
+    const annotatedRules = [];
+
+    tools.forEach(tool => {
+      const { operation, basis } = classifyOperation(tool.name, {
+        annotations: tool.annotations, definition: tool, trust, taxonomy, classifications
+      });
       if (toolsByOperation[operation]) {
-        toolsByOperation[operation].push(toolName);
+        toolsByOperation[operation].push(tool.name);
+      }
+
+      // The proxy only knows annotations, descriptions and schemas after a tools/list,
+      // so rules classified from them name the tool. They stop applying once a call's
+      // arguments raise it above the classified operation, so operation rules decide then.
+      if (operation !== detectOperation(tool.name, { trust: 'ignore', taxonomy, classifications })) {
+        const source = basis === 'description' ? 'tool description'
+          : basis === 'schema' ? 'input schema'
+          : `${operationFromAnnotations(tool.annotations) === 'read' ? 'readOnlyHint' : 'destructiveHint'} annotation`;
+        annotatedRules.push({
+          service: serviceName,
+          tools: [tool.name],
+          operations: taxonomy.order.filter(category => taxonomy.rank[category] <= taxonomy.rank[operation]),
+          permission: safeDefaults[operation],
+          reason: `Classified as ${operation} from the server's ${source}`
+        });
       }
     });
 
@@ -465,11 +532,33 @@ function generateDefaultRules(serviceName, tools) {
         rules.push(rule);
       }
     }
+
+    rules.push(...annotatedRules);
   }
 
   return rules;
 }
 
+/**
+ * Warn about "classifications" entries for tools that no discovered or pinned server lists,
+ * e.g. because the server renamed or dropped the tool and the override no longer applies
+ * @param {Object} rules - Loaded rules
+ */
+function warnStaleClassifications(rules) {
+  const overridden = Object.keys(rules.classifications || {});
+  const known = new Set(Object.values(readToolPins().services)
+    .flatMap(service => [...Object.keys(service.tools || {}), ...Object.keys(service.pending || {})]));
+
+  // Without an inventory there is nothing to compare with
+  if (known.size === 0) {
+    return;
+  }
+
+  for (const toolName of overridden.filter(name => !known.has(name))) {
+    console.error(`Warning: "classifications" names ${toolName}, which no discovered or pinned server lists`);
+  }
+}
+
 /**
  * Ensure rules file exists, generate with safe defaults if needed
  * @param {string} rulesPath - Path to rules.json
@@ -508,17 +597,19 @@ async function ensureRulesExist(rulesPath, mcpServers) {
       const serverConfig = mcpServers[serverName];
       console.log(`  Discovering tools from ${serverName}...`);
 
-      const tools = await discoverServerTools(serverConfig, serverName);
-      const rules = generateDefaultRules(serverName, tools);
+      const tools = await discoverAndPinTools(serverConfig, serverName);
+      const rules = generateDefaultRules(serverName, tools, resolveClassifyOptions(existingRules, serverName));
       newRules.push(...rules);
 
       console.log(`  ✓ Added ${rules.length} rule(s) for ${serverName}`);
     }
 
     // Merge with existing rules
+    // Keep top-level settings (defaultPermission, services) from the existing file
     const mergedRules = {
       _comment: 'Auto-generated governance rules. Edit as needed.',
       _location: rulesPath,
+      ...existingRules,
       rules: [...existingRules.rules, ...newRules]
     };
 
@@ -552,7 +643,7 @@ async function ensureRulesExist(rulesPath, mcpServers) {
       const serverConfig = mcpServers[serverName];
       console.log(`  Discovering ${serverName}...`);
 
-      const tools = await discoverServerTools(serverConfig, serverName);
+      const tools = await discoverAndPinTools(serverConfig, serverName);
       const rules = generateDefaultRules(serverName, tools);
       allRules.push(...rules);
 
@@ -577,8 +668,8 @@ async function ensureRulesExist(rulesPath, mcpServers) {
     const deniedOps = allRules.filter(r => r.permission === 'deny');
     const allowedOps = allRules.filter(r => r.permission === 'allow');
     console.log(`\nSafe defaults applied:`);
-    console.log(`  ✓ Allow: ${allowedOps.map(r => r.operations).flat().join(', ')}`);
-    console.log(`  ✗ Deny: ${deniedOps.map(r => r.operations).flat().join(', ')}`);
+    console.log(`  ✓ Allow: ${allowedOps.flatMap(r => r.operations || []).join(', ')}`);
+    console.log(`  ✗ Deny: ${deniedOps.flatMap(r => r.operations || []).join(', ')}`);
     console.log('\nTo customize governance rules, edit: ' + rulesPath);
 
     return rulesData;
@@ -620,10 +711,10 @@ async function main() {
   // Determine rules path (use provided or default to ~/.mcp-gov/rules.json)
   const rulesPath = args.rules || join(homedir(), '.mcp-gov', 'rules.json');
 
-  // Collect all servers from all projects for rules generation
+  // Collect all servers from all projects for rules generation; servers without a command are not governed
   const allServers = {};
   for (const { servers } of config.allMcpServers) {
-    Object.assign(allServers, servers);
+    Object.assign(allServers, Object.fromEntries(Object.entries(servers).filter(([, serverConfig]) => hasCommand(serverConfig))));
   }
 
   // Ensure rules file exists (generate if needed with delta approach)
@@ -634,15 +725,21 @@ async function main() {
     console.error(`Error with rules: ${error.message}`);
     process.exit(1);
   }
+  warnStaleClassifications(rules);
 
   // Detect unwrapped servers across ALL projects
   let allWrapped = [];
   let allUnwrapped = [];
+  let allLegacy = [];
 
   for (const { path: projectPath, servers } of config.allMcpServers) {
-    const { wrapped, unwrapped } = detectUnwrappedServers(servers);
+    const { wrapped, unwrapped, skipped } = detectUnwrappedServers(servers);
     allWrapped.push(...wrapped.map(name => ({ project: projectPath, name })));
     allUnwrapped.push(...unwrapped.map(name => ({ project: projectPath, name })));
+    allLegacy.push(...wrapped.filter(name => upgradeWrappedServer(servers[name])).map(name => ({ project: projectPath, name })));
+    for (const name of skipped) {
+      console.error(`Warning: Skipping server "${name}": it has no "command", so it cannot run behind mcp-gov-proxy`);
+    }
   }
 
   const totalServers = allWrapped.length + allUnwrapped.length;
@@ -675,14 +772,19 @@ async function main() {
           console.log(`  - ${name}`);
         }
       });
-    } else {
+    } else if (allLegacy.length === 0) {
       console.log(`\nAll servers already wrapped, no action needed`);
     }
   }
 
   // Wrap servers if needed
-  if (allUnwrapped.length > 0) {
-    console.log(`\nWrapping ${allUnwrapped.length} server(s)...`);
+  if (allUnwrapped.length > 0 || allLegacy.length > 0) {
+    if (allUnwrapped.length > 0) {
+      console.log(`\nWrapping ${allUnwrapped.length} server(s)...`);
+    }
+    if (allLegacy.length > 0) {
+      console.log(`\nUpgrading ${allLegacy.length} wrapped server(s) to pass the target command after "--"...`);
+    }
 
     // Create backup before modifying
     try {
@@ -700,21 +802,27 @@ async function main() {
     const modifiedConfig = JSON.parse(JSON.stringify(config.rawConfig));
 
     for (const { path: projectPath, servers } of config.allMcpServers) {
-      const { unwrapped } = detectUnwrappedServers(servers);
+      const { wrapped, unwrapped } = detectUnwrappedServers(servers);
 
-      if (unwrapped.length > 0) {
-        // Get reference to this project's mcpServers
-        let targetServers;
-        if (config.format === 'multi-project') {
-          targetServers = modifiedConfig.projects[projectPath].mcpServers;
-        } else {
-          targetServers = modifiedConfig.mcpServers;
-        }
+      // Get reference to this project's mcpServers
+      let targetServers;
+      if (config.format === 'multi-project') {
+        targetServers = modifiedConfig.projects[projectPath].mcpServers;
+      } else {
+        targetServers = modifiedConfig.mcpServers;
+      }
+
+      // Wrap unwrapped servers in this project
+      for (const serverName of unwrapped) {
+        const originalConfig = targetServers[serverName];
+        targetServers[serverName] = wrapServer(serverName, originalConfig, absoluteRulesPath);
+      }
 
-        // Wrap unwrapped servers in this project
-        for (const serverName of unwrapped) {
-          const originalConfig = targetServers[serverName];
-          targetServers[serverName] = wrapServer(serverName, originalConfig, absoluteRulesPath);
+      // Move servers wrapped with "--target <string>" to the lossless form
+      for (const serverName of wrapped) {
+        const upgraded = upgradeWrappedServer(targetServers[serverName]);
+        if (upgraded) {
+          targetServers[serverName] = upgraded;
         }
       }
     }
@@ -9,6 +9,10 @@ import { existsSync, readFileSync, readdirSync } from 'node:fs';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { homedir } from 'node:os';
+import { listApprovals, decideApproval } from '../src/approval-queue.js';
+import { formatAuditLine, summarizeWouldBlock, verifyAuditLog, loadAuditKey, createAuditKey, DEFAULT_AUDIT_KEY_PATH } from '../src/audit-log.js';
+import { tailLog, listRotatedLogs, listLogSegments } from '../src/audit-rotation.js';
+import { readToolPins, acceptToolChanges } from '../src/tool-pins.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -162,19 +166,41 @@ async function handleLogs() {
     return;
   }
 
-  // Show all log files
+  // Show the end of each service log, continuing into rotated files when the current one is short
   for (const logFile of logFiles) {
     const logPath = join(logsDir, logFile);
-    const content = readFileSync(logPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const lastLines = lines.slice(-20);
+    const lastLines = await tailLog(logPath, 20);
+    const rotated = listRotatedLogs(logPath).length;
 
-    console.log(`\n--- ${logFile} (last ${lastLines.length} entries) ---\n`);
-    console.log(lastLines.join('\n'));
+    console.log(`\n--- ${logFile} (last ${lastLines.length} entries${rotated ? `, ${rotated} rotated files` : ''}) ---\n`);
+    console.log(lastLines.map(formatAuditLine).join('\n'));
+    printWouldBlockSummary(await summarizeWouldBlock(listLogSegments(logPath)));
   }
   console.log(`\n--- End of logs ---\n`);
 }
 
+// Groups shown in the monitor-mode summary of each log
+const SUMMARY_LIMIT = 10;
+
+/**
+ * Print what a monitor-mode policy would have blocked, if anything
+ * @param {{ total: number, calls: object[] }} summary - Result of summarizeWouldBlock
+ */
+function printWouldBlockSummary({ total, calls }) {
+  if (total === 0) {
+    return;
+  }
+
+  console.log(`\n  Monitor mode: ${total} call(s) would have been blocked`);
+  for (const call of calls.slice(0, SUMMARY_LIMIT)) {
+    console.log(`    ${String(call.count).padStart(4)}× ${call.decision.toUpperCase().padEnd(10)} ` +
+      `${call.subject} (${call.service}.${call.operation}), last ${call.lastSeen}`);
+  }
+  if (calls.length > SUMMARY_LIMIT) {
+    console.log(`    ... and ${calls.length - SUMMARY_LIMIT} more`);
+  }
+}
+
 async function handleRules() {
   const rulesPath = join(homedir(), '.mcp-gov', 'rules.json');
   rl.close();
@@ -195,13 +221,222 @@ async function handleRules() {
 
   child.on('close', (code) => {
     if (code === 0) {
-      console.log('\nRules saved.');
+      console.log('\nRules saved. Running proxies reload them automatically.');
     }
     process.exit(code);
   });
 }
 
-main().catch((err) => {
+async function handleApprovals() {
+  const approvals = listApprovals();
+
+  if (approvals.length === 0) {
+    console.log('No pending approval requests.');
+    return;
+  }
+
+  for (const entry of approvals) {
+    const secondsLeft = Math.max(0, Math.round((Date.parse(entry.expiresAt) - Date.now()) / 1000));
+    console.log(`\n--- ${entry.id} (expires in ${secondsLeft}s) ---`);
+    if (entry.resource) {
+      console.log(`  Resource:  ${entry.resource}`);
+    } else if (entry.prompt) {
+      console.log(`  Prompt:    ${entry.prompt}`);
+    } else {
+      console.log(`  Tool:      ${entry.tool}`);
+    }
+    console.log(`  Service:   ${entry.service}`);
+    console.log(`  Operation: ${entry.operation}`);
+    console.log(`  Project:   ${entry.project}`);
+    console.log(`  Requested: ${entry.createdAt}`);
+    console.log('  Arguments:');
+    console.log(JSON.stringify(entry.arguments, null, 2).replace(/^/gm, '    '));
+  }
+  console.log(`\nApprove with "mcp-gov approve <id>", reject with "mcp-gov reject <id>".`);
+}
+
+async function handleDecision(id, approved) {
+  if (!id) {
+    throw new Error(`Usage: mcp-gov ${approved ? 'approve' : 'reject'} <id>`);
+  }
+
+  const entry = decideApproval(id, approved);
+  console.log(`${approved ? '✓ Approved' : '✗ Rejected'} ${entry.tool || entry.resource || entry.prompt} (${entry.service}.${entry.operation}) [${entry.id}]`);
+}
+
+/**
+ * Resolve which logs "mcp-gov audit verify [target]" checks
+ * @param {string} [target] - Log file path or service name (default: all service logs)
+ * @returns {string[]} Current log file paths (their rotated files are checked too)
+ */
+function resolveAuditLogs(target) {
+  const logsDir = join(homedir(), '.mcp-gov', 'logs');
+
+  if (target) {
+    const path = existsSync(target) ? target : join(logsDir, `${target}.log`);
+    if (listLogSegments(path).length === 0) {
+      throw new Error(`Audit log not found: ${target}`);
+    }
+    return [path];
+  }
+
+  if (!existsSync(logsDir)) {
+    return [];
+  }
+  return readdirSync(logsDir).filter(f => f.endsWith('.log')).map(f => join(logsDir, f));
+}
+
+async function handleAudit(args) {
+  const [subcommand, target] = args;
+
+  if (subcommand === 'keygen') {
+    createAuditKey();
+    console.log(`✓ Audit key written to ${DEFAULT_AUDIT_KEY_PATH}`);
+    console.log('New audit entries will be signed. Keep a copy of the key to verify logs elsewhere.');
+    console.log('Verification now requires a signature on every chained entry: archive logs written before this key.');
+    return;
+  }
+
+  if (subcommand !== 'verify') {
+    throw new Error('Usage: mcp-gov audit verify [service|file] | mcp-gov audit keygen');
+  }
+
+  const logPaths = resolveAuditLogs(target);
+  if (logPaths.length === 0) {
+    console.log('No audit logs found yet.');
+    return;
+  }
+
+  const hmacKey = loadAuditKey();
+  let broken = false;
+
+  for (const logPath of logPaths) {
+    const result = await verifyAuditLog(listLogSegments(logPath), { hmacKey });
+
+    if (!result.ok) {
+      broken = true;
+      console.log(`✗ ${result.brokenAt.file}: broken at line ${result.brokenAt.line}: ${result.brokenAt.reason}`);
+      continue;
+    }
+
+    const signed = hmacKey ? `, ${result.signed} signed` : '';
+    const unchained = result.entries - result.chained;
+    console.log(`✓ ${logPath}: ${result.chained} chained entries intact${signed}` +
+      (unchained ? ` (${unchained} older unchained lines)` : ''));
+    if (result.lastHash) {
+      console.log(`  head ${result.lastHash}`);
+    }
+  }
+
+  if (broken) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Print what differs between a pinned tool definition and the one the server now lists
+ * @param {Object|undefined} pinned - Pinned definition
+ * @param {Object} listed - Listed definition
+ */
+function printToolDiff(pinned, listed) {
+  if (!pinned) {
+    console.log(`    description: ${JSON.stringify(listed.description ?? '')}`);
+    return;
+  }
+
+  const fields = [...new Set([...Object.keys(pinned), ...Object.keys(listed)])]
+    .filter(field => JSON.stringify(pinned[field]) !== JSON.stringify(listed[field]));
+
+  for (const field of fields) {
+    if (field === 'description' || field === 'title') {
+      console.log(`    ${field}: ${JSON.stringify(pinned[field] ?? '')}`);
+      console.log(`    ${' '.repeat(field.length)}→ ${JSON.stringify(listed[field] ?? '')}`);
+    } else {
+      console.log(`    ${field} changed`);
+    }
+  }
+}
+
+async function handleTools(args) {
+  const [subcommand, ...rest] = args;
+
+  if (subcommand === 'accept') {
+    const [service, ...toolNames] = rest;
+    if (!service) {
+      throw new Error('Usage: mcp-gov tools accept <service> [tool...]');
+    }
+
+    const accepted = acceptToolChanges(service, toolNames);
+    for (const change of accepted) {
+      console.log(`✓ Pinned ${change.name} (${change.status})`);
+    }
+    return;
+  }
+
+  const services = Object.entries(readToolPins().services)
+    .filter(([service]) => !subcommand || service === subcommand);
+
+  if (services.length === 0) {
+    console.log(subcommand ? `No pinned tools for ${subcommand}.` : 'No pinned tools yet. Run mcp-gov-wrap to discover and pin them.');
+    return;
+  }
+
+  let pendingTotal = 0;
+  for (const [service, { tools = {}, pending = {} }] of services) {
+    const changes = Object.values(pending);
+    pendingTotal += changes.length;
+
+    console.log(`
+${service}: ${Object.keys(tools).length} pinned tool(s), ${changes.length} pending`);
+    for (const change of changes) {
+      console.log(`  ${change.status.toUpperCase().padEnd(8)} ${change.name} (seen ${change.seenAt})`);
+      printToolDiff(tools[change.name]?.definition, change.definition);
+    }
+  }
+
+  if (pendingTotal > 0) {
+    console.log(`
+Pin reviewed tools with "mcp-gov tools accept <service> [tool...]".`);
+  }
+}
+
+/**
+ * Run a non-interactive subcommand (e.g. "mcp-gov approve <id>")
+ * @param {string} command - Subcommand name
+ * @param {string[]} args - Subcommand arguments
+ */
+async function runCommand(command, args) {
+  rl.close();
+
+  switch (command) {
+    case 'logs':
+      await handleLogs();
+      break;
+    case 'approvals':
+      await handleApprovals();
+      break;
+    case 'approve':
+      await handleDecision(args[0], true);
+      break;
+    case 'reject':
+      await handleDecision(args[0], false);
+      break;
+    case 'audit':
+      await handleAudit(args);
+      break;
+    case 'tools':
+      await handleTools(args);
+      break;
+    default:
+      console.error(`Unknown command: ${command}`);
+      console.error('Commands: logs, approvals, approve <id>, reject <id>, audit verify [service|file], audit keygen, tools [service], tools accept <service> [tool...] (or no command for the interactive menu)');
+      process.exit(1);
+  }
+}
+
+const [command, ...commandArgs] = process.argv.slice(2);
+
+(command ? runCommand(command, commandArgs) : main()).catch((err) => {
   rl.close();
   console.error('Error:', err.message);
   process.exit(1);
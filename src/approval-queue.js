@@ -0,0 +1,194 @@
+/**
+ * File-based approval queue for "ask" decisions.
+ * The proxy parks a call as ~/.mcp-gov/approvals/<id>.json and polls it;
+ * `mcp-gov approve <id>` / `mcp-gov reject <id>` record the decision in the same file.
+ * Entries hold the full call arguments, so only their owner can read them.
+ */
+
+import { readFileSync, writeFileSync, renameSync, readdirSync, mkdirSync, existsSync, unlinkSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { randomBytes } from 'node:crypto';
+
+/** Default queue directory */
+export const DEFAULT_APPROVALS_DIR = join(homedir(), '.mcp-gov', 'approvals');
+
+/** Default time a parked call waits for a decision (seconds) */
+export const DEFAULT_APPROVAL_TIMEOUT = 300;
+
+// How often a waiting proxy checks for a decision (ms)
+const POLL_INTERVAL = 250;
+
+/**
+ * @typedef {Object} ApprovalRequest
+ * @property {string} id - Short id used with `mcp-gov approve <id>`
+ * @property {'pending'|'approved'|'rejected'} status - Current state
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} expiresAt - ISO timestamp after which the call is denied
+ * @property {string} [tool] - Tool name (tools/call)
+ * @property {string} [resource] - Resource URI (resources/read, resources/subscribe)
+ * @property {string} [prompt] - Prompt name (prompts/get)
+ * @property {string} service - Service name
+ * @property {string} operation - Detected operation
+ * @property {Object} arguments - Full call arguments
+ * @property {string} project - Working directory of the proxy
+ * @property {number} pid - Proxy process id
+ * @property {string} [decidedAt] - ISO timestamp of the decision
+ */
+
+/**
+ * Write a file atomically so readers never see a partial entry
+ * @param {string} path - Target path
+ * @param {Object} data - JSON data
+ */
+function writeJsonAtomic(path, data) {
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Read an approval entry
+ * @param {string} path - Entry path
+ * @returns {ApprovalRequest|null} Entry, or null if missing or unreadable
+ */
+function readEntry(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remove an entry, ignoring entries that are already gone
+ * @param {string} path - Entry path
+ */
+function removeEntry(path) {
+  try {
+    unlinkSync(path);
+  } catch (e) {
+    // Already removed
+  }
+}
+
+/**
+ * Park a call in the queue
+ * @param {{ tool?: string, resource?: string, prompt?: string, service: string, operation: string, arguments?: Object }} call - Call awaiting approval
+ * @param {{ dir?: string, timeoutSeconds?: number }} [options]
+ * @returns {ApprovalRequest} Queued entry
+ */
+export function enqueueApproval(call, { dir = DEFAULT_APPROVALS_DIR, timeoutSeconds = DEFAULT_APPROVAL_TIMEOUT } = {}) {
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+
+  const now = Date.now();
+  /** @type {ApprovalRequest} */
+  const entry = {
+    id: randomBytes(4).toString('hex'),
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + timeoutSeconds * 1000).toISOString(),
+    tool: call.tool,
+    ...(call.resource !== undefined && { resource: call.resource }),
+    ...(call.prompt !== undefined && { prompt: call.prompt }),
+    service: call.service,
+    operation: call.operation,
+    arguments: call.arguments || {},
+    project: process.cwd(),
+    pid: process.pid
+  };
+
+  writeJsonAtomic(join(dir, `${entry.id}.json`), entry);
+  return entry;
+}
+
+/**
+ * Wait until a queued call is approved, rejected or expires. The entry is removed afterwards.
+ * @param {ApprovalRequest} entry - Entry returned by enqueueApproval
+ * @param {{ dir?: string }} [options]
+ * @returns {Promise<{ approved: boolean, reason?: string }>}
+ */
+export function waitForDecision(entry, { dir = DEFAULT_APPROVALS_DIR } = {}) {
+  const path = join(dir, `${entry.id}.json`);
+  const expiresAt = Date.parse(entry.expiresAt);
+
+  return new Promise((resolve) => {
+    const timer = setInterval(() => {
+      const current = readEntry(path);
+
+      if (current && current.status === 'approved') {
+        clearInterval(timer);
+        removeEntry(path);
+        resolve({ approved: true });
+      } else if (current && current.status === 'rejected') {
+        clearInterval(timer);
+        removeEntry(path);
+        resolve({ approved: false, reason: `rejected via approval queue (${entry.id})` });
+      } else if (!current) {
+        clearInterval(timer);
+        resolve({ approved: false, reason: `approval request ${entry.id} was removed` });
+      } else if (Date.now() >= expiresAt) {
+        clearInterval(timer);
+        removeEntry(path);
+        resolve({ approved: false, reason: `approval request ${entry.id} timed out` });
+      }
+    }, POLL_INTERVAL);
+  });
+}
+
+/**
+ * List pending, unexpired approval requests, oldest first
+ * @param {string} [dir] - Queue directory
+ * @returns {ApprovalRequest[]}
+ */
+export function listApprovals(dir = DEFAULT_APPROVALS_DIR) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+
+  const now = Date.now();
+  return readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => readEntry(join(dir, f)))
+    .filter(entry => entry && entry.status === 'pending' && Date.parse(entry.expiresAt) > now)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Record a decision for a pending request
+ * @param {string} id - Request id
+ * @param {boolean} approved - True to approve, false to reject
+ * @param {string} [dir] - Queue directory
+ * @returns {ApprovalRequest} Updated entry
+ * @throws {Error} If the request does not exist, is already decided or has expired
+ */
+export function decideApproval(id, approved, dir = DEFAULT_APPROVALS_DIR) {
+  if (!/^[0-9a-f]+$/i.test(id)) {
+    throw new Error(`Invalid approval id: ${id}`);
+  }
+
+  const path = join(dir, `${id}.json`);
+  const entry = readEntry(path);
+
+  if (!entry) {
+    throw new Error(`Approval request not found: ${id}`);
+  }
+
+  if (entry.status !== 'pending') {
+    throw new Error(`Approval request ${id} was already ${entry.status}`);
+  }
+
+  if (Date.parse(entry.expiresAt) <= Date.now()) {
+    throw new Error(`Approval request ${id} has expired`);
+  }
+
+  const updated = {
+    ...entry,
+    status: approved ? 'approved' : 'rejected',
+    decidedAt: new Date().toISOString()
+  };
+  writeJsonAtomic(path, updated);
+  return updated;
+}
@@ -0,0 +1,448 @@
+/**
+ * Argument classifiers: the effective operation of a call to a multiplexed tool (`execute_sql`,
+ * `run_command`, `git`, `http_request`) from the arguments it runs. Each classifier handles one
+ * argument type, found by the last word of the argument name: SQL statements, shell commands and
+ * HTTP methods. classifyOperation merges the result with the name-based classification.
+ */
+
+/**
+ * @typedef {Object} ArgumentClassification
+ * @property {string} operation - Most restrictive operation the argument performs
+ * @property {string} argument - Argument name
+ * @property {string} type - Classifier that recognized it ("sql", "shell", "http")
+ * @property {string} detail - What decided, e.g. "DROP statement" or "command \"rm\""
+ */
+
+/**
+ * @typedef {Object} ArgumentContext
+ * @property {string} toolName - Tool being called, for tools named after a program ("git")
+ * @property {function(string): ({ operation: string }|null)} classifyWord - Keyword classification of a word
+ * @property {string[]} [argv] - Arguments given next to the command ({ command: "git", args: ["push"] })
+ */
+
+const RANK = { read: 1, write: 2, execute: 3, delete: 4, admin: 5 };
+
+/** Operations argument classifiers report */
+export const ARGUMENT_OPERATIONS = Object.keys(RANK);
+
+/**
+ * @param {{ operation: string }|null} a
+ * @param {{ operation: string }|null} b
+ * @returns {{ operation: string }|null} The more restrictive of two results
+ */
+function stronger(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return RANK[b.operation] > RANK[a.operation] ? b : a;
+}
+
+// SQL statements by leading words. Changes need their full form ("DELETE FROM", "DROP TABLE")
+// so search queries such as "delete old messages" are not taken for SQL.
+const SQL_OBJECTS = '(?:table|view|index|schema|database|sequence|function|procedure|trigger|user|role|type|extension|materialized\\s+view)';
+const SQL_STATEMENTS = [
+  [/^(?:select|show|describe|desc|values|table|pragma)\b/, 'read'],
+  [/^explain\b/, 'read'],
+  [/^(?:insert|replace|upsert)\s+(?:or\s+\w+\s+)?into\b/, 'write'],
+  [/^update\s+\S+.*\bset\b/, 'write'],
+  [/^merge\s+into\b/, 'write'],
+  [/^copy\s+\S+\s+from\b/, 'write'],
+  [new RegExp(`^create\\s+(?:or\\s+replace\\s+)?(?:temp(?:orary)?\\s+)?(?:unique\\s+)?${SQL_OBJECTS}\\b`), 'write'],
+  [/^delete\s+from\b/, 'delete'],
+  [new RegExp(`^drop\\s+${SQL_OBJECTS}\\b`), 'delete'],
+  [/^truncate\s+\S/, 'delete'],
+  [new RegExp(`^alter\\s+(?:${SQL_OBJECTS}|system)\\b`), 'admin'],
+  [/^(?:grant|revoke)\s.+\s(?:on|to|from)\s/, 'admin'],
+  [/^(?:vacuum|reindex|analyze)\b/, 'admin'],
+  [/^(?:call|exec|execute)\s+\S/, 'execute']
+];
+
+// Transaction control and session settings change nothing on their own
+const SQL_NEUTRAL = /^(?:begin|start\s+transaction|commit|rollback|savepoint|release|end|set|use)\b/;
+
+/**
+ * Classify one SQL statement (lowercase, without comments and string literals)
+ * @param {string} statement
+ * @returns {{ operation: string, detail: string }|null|undefined} Null for neutral statements, undefined if unrecognized
+ */
+function classifyStatement(statement) {
+  if (SQL_NEUTRAL.test(statement)) return null;
+
+  // EXPLAIN ANALYZE runs the statement it explains
+  const analyzed = statement.match(/^explain\s+analy[sz]e\s+(.*)$/s);
+  if (analyzed) return classifyStatement(analyzed[1]);
+
+  // Common table expressions can wrap data-modifying statements
+  if (/^with\b/.test(statement)) {
+    const modifying = statement.match(/\bdelete\s+from\b/) || statement.match(/\b(?:insert\s+into|update\s+\S+\s+set|into)\b/);
+    const operation = !modifying ? 'read' : modifying[0].startsWith('delete') ? 'delete' : 'write';
+    return { operation, detail: `${modifying ? modifying[0].split(/\s/)[0].toUpperCase() : 'WITH'} statement` };
+  }
+
+  // SELECT ... INTO creates a table (INTO new_table) or writes a file (INTO OUTFILE)
+  if (/^select\b.*\binto\b/s.test(statement)) return { operation: 'write', detail: 'SELECT INTO statement' };
+
+  const match = SQL_STATEMENTS.find(([pattern]) => pattern.test(statement));
+  return match ? { operation: match[1], detail: `${statement.split(/\s/)[0].toUpperCase()} statement` } : undefined;
+}
+
+// Literals and comments by dialect, each matched in one pass so a literal cannot open a comment
+// ("SELECT '--'; DROP TABLE t") or the reverse. Standard SQL doubles quotes and has dollar quoting;
+// MySQL also escapes with backslashes, quotes identifiers with backticks, comments with # and runs
+// /*! ... */. The same text can split differently in each ("SELECT '\''; DROP TABLE t; SELECT '").
+const SQL_LEXERS = [
+  /'(?:[^']|'')*'|"(?:[^"]|"")*"|\$(\w*)\$[\s\S]*?\$\1\$|--[^\n]*|\/\*[\s\S]*?\*\//g,
+  /'(?:[^'\\]|\\[\s\S]|'')*'|"(?:[^"\\]|\\[\s\S]|"")*"|`(?:[^`]|``)*`|--(?=\s|$)[^\n]*|#[^\n]*|\/\*(?!!)[\s\S]*?\*\//g
+];
+
+/**
+ * Classify SQL. Every statement counts ("SELECT 1; DROP TABLE users" is a delete); statements the
+ * classifier does not know count as execute, unless none is known and the value is probably not SQL.
+ * The value is read in each dialect and the most restrictive reading wins.
+ * @param {string} value
+ * @returns {{ operation: string, detail: string }|null}
+ */
+function classifySql(value) {
+  return SQL_LEXERS.reduce((result, lexer) => stronger(result, classifyStatements(value, lexer)), null);
+}
+
+/**
+ * @param {string} value
+ * @param {RegExp} lexer - Literals and comments of a dialect
+ * @returns {{ operation: string, detail: string }|null}
+ */
+function classifyStatements(value, lexer) {
+  const statements = value
+    .replace(lexer, token => (/^['"`$]/.test(token) ? "''" : ' '))
+    .toLowerCase()
+    .split(';')
+    .map(statement => statement.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+
+  let result = null;
+  let unknown = null;
+  let recognized = false;
+  for (const statement of statements) {
+    const classified = classifyStatement(statement);
+    if (classified === undefined) {
+      unknown = unknown || { operation: 'execute', detail: `unrecognized ${statement.split(' ')[0].toUpperCase()} statement` };
+    } else {
+      recognized = true;
+      result = stronger(result, classified);
+    }
+  }
+  return recognized ? stronger(result, unknown) : null;
+}
+
+// Programs by what they do. Anything else is an execute, including interpreters such as sed and
+// awk, whose scripts can write files and run commands.
+const SHELL_PROGRAMS = {
+  read: [
+    'ls', 'cat', 'head', 'tail', 'less', 'more', 'grep', 'egrep', 'rg', 'find', 'pwd', 'echo', 'printf',
+    'wc', 'stat', 'du', 'df', 'ps', 'top', 'which', 'whoami', 'id', 'date', 'diff', 'tree', 'file',
+    'uname', 'sort', 'uniq', 'cut', 'jq', 'hostname', 'uptime', 'free', 'dig', 'nslookup'
+  ],
+  write: ['cp', 'mv', 'mkdir', 'touch', 'tee', 'ln', 'tar', 'zip', 'unzip', 'gzip', 'gunzip', 'patch', 'wget'],
+  delete: ['rm', 'rmdir', 'shred', 'unlink', 'truncate', 'dd'],
+  admin: [
+    'chmod', 'chown', 'chgrp', 'useradd', 'userdel', 'usermod', 'passwd', 'systemctl', 'service',
+    'mount', 'umount', 'iptables', 'crontab', 'visudo', 'reboot', 'shutdown'
+  ]
+};
+const PROGRAM_OPERATIONS = new Map(Object.entries(SHELL_PROGRAMS).flatMap(([operation, programs]) => programs.map(program => [program, operation])));
+
+// Flags that change what a program does ("--output=file" is looked up as "--output", "-ofile" as "-o"
+// and "-sSo" as "-s", "-S" and "-o")
+const PROGRAM_FLAGS = {
+  find: {
+    '-delete': 'delete', '-exec': 'execute', '-execdir': 'execute', '-ok': 'execute', '-okdir': 'execute',
+    '-fprint': 'write', '-fprint0': 'write', '-fprintf': 'write', '-fls': 'write'
+  },
+  sort: { '-o': 'write', '--output': 'write' },
+  curl: {
+    '-o': 'write', '--output': 'write', '-O': 'write', '--remote-name': 'write', '--remote-name-all': 'write',
+    '-D': 'write', '--dump-header': 'write', '-c': 'write', '--cookie-jar': 'write'
+  },
+  git: { '--output': 'write' },
+  date: { '-s': 'admin', '--set': 'admin' },
+  hostname: { '-F': 'admin', '--file': 'admin', '-b': 'admin', '--boot': 'admin' }
+};
+
+// Programs that change a system setting when given an operand ("hostname web1", "date 01011200"),
+// with their options that take a value. "date +%F" is a format, not an operand.
+const SETTING_OPERANDS = {
+  hostname: { operation: 'admin', options: [] },
+  date: { operation: 'admin', options: ['-d', '--date', '-r', '--reference', '-f', '--file'] }
+};
+
+// Programs whose subcommand decides, classified like a tool name ("git status" is a read).
+// Subcommands that are no operation keyword are listed here; the rest are execute.
+const SUBCOMMANDS = {
+  git: {
+    checkout: 'write', switch: 'write', stash: 'write', mv: 'write', rm: 'delete', restore: 'delete',
+    blame: 'read', grep: 'read', remote: 'read', 'ls-files': 'read', 'rev-parse': 'read'
+  },
+  docker: { ps: 'read', images: 'read', logs: 'read', inspect: 'read', rm: 'delete', rmi: 'delete' },
+  kubectl: { logs: 'read', top: 'read', scale: 'write', rollout: 'execute' },
+  helm: { ls: 'read', status: 'read', upgrade: 'admin' },
+  npm: { ls: 'read', view: 'read', ci: 'admin' }
+};
+
+// git subcommands that delete with these flags ("git branch -D", "git push --force")
+const GIT_DELETE_FLAGS = {
+  branch: ['-d', '-D', '--delete'],
+  tag: ['-d', '--delete'],
+  push: ['-d', '--delete', '-f', '--force', '--force-with-lease', '--mirror']
+};
+
+// Prefixes that run the command that follows; sudo and doas also make it admin
+const COMMAND_WRAPPERS = new Set(['sudo', 'doas', 'env', 'nohup', 'time', 'nice', 'xargs', 'command', 'exec']);
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash']);
+
+/**
+ * @param {string} word
+ * @returns {boolean} True if the classifier knows the word as a program
+ */
+function isProgram(word) {
+  return PROGRAM_OPERATIONS.has(word) || Object.hasOwn(SUBCOMMANDS, word) || SHELLS.has(word) || COMMAND_WRAPPERS.has(word) || word === 'curl';
+}
+
+/**
+ * @param {string} program
+ * @param {string[]} args - Arguments after the program
+ * @returns {string|null} Most restrictive operation the flags and operands select
+ */
+function flagOperation(program, args) {
+  const flags = PROGRAM_FLAGS[program] || {};
+  const setting = SETTING_OPERANDS[program];
+  let result = null;
+  args.forEach((arg, i) => {
+    const names = [arg, arg.split('=')[0], arg.slice(0, 2)];
+    if (/^-[a-zA-Z]+$/.test(arg)) names.push(...[...arg.slice(1)].map(letter => `-${letter}`));
+    for (const operation of names.map(name => flags[name])) {
+      if (operation && (!result || RANK[operation] > RANK[result])) result = operation;
+    }
+    if (setting && /^[^-+]/.test(arg) && !setting.options.includes(args[i - 1]) && (!result || RANK[setting.operation] > RANK[result])) {
+      result = setting.operation;
+    }
+  });
+  return result;
+}
+
+// Redirections: ">", ">>", ">|", "<>", "&>", "&>>" and "<", optionally after a descriptor ("2>file").
+// A target of "&1" or "&-" duplicates or closes a descriptor; "&file" is a file.
+const REDIRECT = /^(\d*(?:>[>|]?|<>?)|&>>?)(.*)$/s;
+
+/**
+ * Take redirections out of a command
+ * @param {string[]} words
+ * @returns {{ words: string[], targets: string[] }} The command without redirections, and the files it writes
+ */
+function takeRedirects(words) {
+  const rest = [];
+  const targets = [];
+  for (let i = 0; i < words.length; i++) {
+    const match = words[i].match(REDIRECT);
+    if (!match) {
+      rest.push(words[i]);
+      continue;
+    }
+    let target = match[2];
+    if (target === '' || target === '&') {
+      target = words[++i];
+    } else if (target.startsWith('&')) {
+      target = /^&(?:\d+|-)$/.test(target) ? null : target.slice(1);
+    }
+    if (target && match[1].includes('>') && target !== '/dev/null') targets.push(target);
+  }
+  return { words: rest, targets };
+}
+
+/**
+ * Split a command line into commands of unquoted words
+ * @param {string} line
+ * @returns {string[][]} Commands, split at ;, &&, ||, |, & and newlines
+ */
+function splitCommands(line) {
+  const commands = [[]];
+  // Redirections such as 2>&1, &>file and >|file are words, not separators
+  const pattern = /[^\S\n]*(?:((?:"(?:[^"\\]|\\.)*"|'[^']*'|\\.|[<>]&|&>|>\||[^\s;|&"'\\])+)|(&&|\|\||[;|&\n]))/g;
+  for (const [, word, separator] of line.matchAll(pattern)) {
+    if (separator) {
+      commands.push([]);
+    } else if (word) {
+      commands[commands.length - 1].push(word.replace(/"((?:[^"\\]|\\.)*)"|'([^']*)'|\\(.)/g, (_, dq, sq, escaped) => dq ?? sq ?? escaped));
+    }
+  }
+  return commands.filter(words => words.length > 0);
+}
+
+/**
+ * Classify a single command
+ * @param {string[]} words - Unquoted words
+ * @param {ArgumentContext} context
+ * @returns {{ operation: string, detail: string }|null}
+ */
+function classifyCommand(command, context) {
+  const { words, targets } = takeRedirects(command);
+  let result = null;
+  for (const target of targets) {
+    result = stronger(result, { operation: 'write', detail: `redirect to "${target}"` });
+  }
+
+  let index = 0;
+
+  // Variable assignments and wrappers: classify the command they run
+  while (index < words.length) {
+    const word = words[index];
+    if (/^\w+=/.test(word)) {
+      index++;
+    } else if (COMMAND_WRAPPERS.has(word) && index + 1 < words.length) {
+      if (word === 'sudo' || word === 'doas') {
+        result = stronger(result, { operation: 'admin', detail: `command "${word}"` });
+      }
+      index++;
+      while (index < words.length && words[index].startsWith('-')) index++;
+    } else {
+      break;
+    }
+  }
+
+  const args = words.slice(index);
+  if (args.length === 0) return result;
+  const program = args[0].split('/').pop();
+
+  if (SHELLS.has(program)) {
+    const script = args.indexOf('-c');
+    return stronger(result, script !== -1 && args[script + 1]
+      ? classifyShell(args[script + 1], { ...context, argv: [] })
+      : { operation: 'execute', detail: `command "${program}"` });
+  }
+
+  if (program === 'curl') {
+    const method = args.find((arg, i) => i > 0 && ['-X', '--request'].includes(args[i - 1]));
+    const sendsData = args.some(arg => /^(?:-d|-F|--data(?:-\w+)?|--form|--json|-T|--upload-file)$/.test(arg));
+    const output = flagOperation(program, args.slice(1));
+    result = stronger(result, output && { operation: output, detail: 'curl output file' });
+    return stronger(result, classifyHttp(method || (sendsData ? 'POST' : 'GET')));
+  }
+
+  const flagged = flagOperation(program, args.slice(1));
+  if (Object.hasOwn(SUBCOMMANDS, program)) {
+    // Without a known subcommand, the classifier cannot tell what runs
+    const subcommand = args.slice(1).find(arg => !arg.startsWith('-'));
+    if (!subcommand) {
+      return stronger(result, { operation: 'execute', detail: `command "${program}"` });
+    }
+    const detail = `command "${program} ${subcommand}"`;
+    const deleteFlags = program === 'git' ? GIT_DELETE_FLAGS[subcommand] || [] : [];
+    let operation = args.some(arg => deleteFlags.includes(arg)) ? 'delete'
+      : Object.hasOwn(SUBCOMMANDS[program], subcommand) ? SUBCOMMANDS[program][subcommand]
+      : context.classifyWord(subcommand)?.operation;
+    if (!RANK[operation]) operation = 'execute';
+    return stronger(result, { operation: flagged && RANK[flagged] > RANK[operation] ? flagged : operation, detail });
+  }
+
+  let operation = PROGRAM_OPERATIONS.get(program) || 'execute';
+  if (flagged && RANK[flagged] > RANK[operation]) operation = flagged;
+  return stronger(result, { operation, detail: `command "${program}"` });
+}
+
+/**
+ * Classify a shell command line. Every command of a pipeline or list counts, and command and process
+ * substitutions ($(...), backticks, <(...), >(...)) run something the classifier cannot see, so they count as execute.
+ * @param {string|string[]} value - Command line, or argv
+ * @param {ArgumentContext} context - Its argv continues the last command
+ * @returns {{ operation: string, detail: string }|null}
+ */
+function classifyShell(value, context) {
+  const commands = Array.isArray(value) ? [value.map(String)] : splitCommands(value);
+  if (context.argv?.length) {
+    if (commands.length === 0) commands.push([]);
+    commands[commands.length - 1].push(...context.argv);
+  }
+  if (commands.length === 0) return null;
+
+  // Tools named after a program take its subcommands ("git" with { command: "status" })
+  const toolProgram = context.toolName.toLowerCase().split(/[^a-z]+/).find(word => Object.hasOwn(SUBCOMMANDS, word));
+  const first = commands[0][0].split('/').pop();
+  if (toolProgram && !isProgram(first)) {
+    commands[0] = [toolProgram, ...commands[0]];
+  }
+
+  let result = null;
+  if (typeof value === 'string' && /\$\(|`|[<>]\(/.test(value)) {
+    result = { operation: 'execute', detail: 'command substitution' };
+  }
+  for (const words of commands) {
+    result = stronger(result, classifyCommand(words, context));
+  }
+  return result;
+}
+
+const HTTP_METHODS = { get: 'read', head: 'read', options: 'read', post: 'write', put: 'write', patch: 'write', delete: 'delete' };
+
+/**
+ * Classify an HTTP method
+ * @param {string} value
+ * @returns {{ operation: string, detail: string }|null}
+ */
+function classifyHttp(value) {
+  const method = String(value).trim().toLowerCase();
+  return Object.hasOwn(HTTP_METHODS, method) ? { operation: HTTP_METHODS[method], detail: `${method.toUpperCase()} request` } : null;
+}
+
+/** Classifiers by type, with the argument names (last word, lowercase) they handle */
+export const ARGUMENT_CLASSIFIERS = {
+  sql: { arguments: ['sql', 'query', 'statement', 'statements'], classify: value => (typeof value === 'string' ? classifySql(value) : null) },
+  shell: {
+    arguments: ['command', 'cmd', 'commandline'],
+    classify: (value, context) => (typeof value === 'string' || (Array.isArray(value) && value.length > 0) ? classifyShell(value, context) : null)
+  },
+  http: { arguments: ['method', 'verb'], classify: value => (typeof value === 'string' ? classifyHttp(value) : null) }
+};
+
+// Argument names (last word, lowercase) that hold the argv of a command given separately
+const ARGV_ARGUMENTS = ['args', 'argv', 'arguments'];
+
+/**
+ * @param {string} name - Argument name
+ * @returns {string} Its last word, lowercase ("shell_command" and "shellCommand" give "command")
+ */
+function lastWord(name) {
+  return name.split(/[_\-.\s]|(?<=[a-z0-9])(?=[A-Z])/).pop().toLowerCase();
+}
+
+/**
+ * Find the classifier type of an argument name
+ * @param {string} name - Argument name ("sql", "shell_command", "httpMethod")
+ * @returns {string|null} Classifier type
+ */
+export function argumentType(name) {
+  const last = lastWord(name);
+  return Object.keys(ARGUMENT_CLASSIFIERS).find(type => ARGUMENT_CLASSIFIERS[type].arguments.includes(last)) || null;
+}
+
+/**
+ * Classify the arguments of a call. When several arguments are recognized, the most restrictive wins.
+ * @param {Object} args - Call arguments
+ * @param {ArgumentContext} context
+ * @returns {ArgumentClassification|null} Null when no argument is recognized
+ */
+export function classifyArguments(args, context) {
+  if (!args || typeof args !== 'object') return null;
+
+  // { command: "git", args: ["push", "--force"] } runs "git push --force"
+  const argv = Object.entries(args)
+    .filter(([argument, value]) => ARGV_ARGUMENTS.includes(lastWord(argument)) && Array.isArray(value))
+    .flatMap(([, value]) => value.map(String));
+
+  let result = null;
+  for (const [argument, value] of Object.entries(args)) {
+    const type = argumentType(argument);
+    const classified = type ? ARGUMENT_CLASSIFIERS[type].classify(value, { ...context, argv }) : null;
+    if (classified) {
+      result = stronger(result, { ...classified, argument, type });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,344 @@
+/**
+ * Structured audit log (JSONL).
+ * One schema shared by mcp-gov-proxy and GovernedMCPServer so tooling parses one format.
+ * Entries written to files are hash-chained (and optionally HMAC-signed) so edits can be detected.
+ */
+
+import {
+  appendFileSync, readFileSync, writeFileSync, existsSync, mkdirSync,
+  openSync, closeSync, readSync, fstatSync
+} from 'node:fs';
+import { randomUUID, randomBytes, createHash, createHmac } from 'node:crypto';
+import { dirname, join } from 'node:path';
+import { homedir } from 'node:os';
+import { shouldRotate, rotateLogFile, finishRotation, readLogLines } from './audit-rotation.js';
+import { redactArguments, redactText } from './redaction.js';
+import { withFileLock } from './file-lock.js';
+
+/** Default location of the HMAC key; entries are signed when it exists */
+export const DEFAULT_AUDIT_KEY_PATH = join(homedir(), '.mcp-gov', 'audit.key');
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} timestamp - ISO timestamp
+ * @property {string} event - "tool_call", "resource_read", "resource_subscribe", "prompt_get", "completion",
+ *   "policy_reloaded", "policy_reload_failed" or "tools_changed"
+ * @property {string} sessionId - Id of the proxy process or server instance
+ * @property {number|string|null} requestId - JSON-RPC id of the governed request
+ * @property {string|null} service - Service name
+ * @property {string|null} tool - Tool name (tools/call)
+ * @property {string|null} resource - Resource URI (resources/read, resources/subscribe, completions for a resource)
+ * @property {string|null} prompt - Prompt name (prompts/get, completions for a prompt)
+ * @property {string|null} operation - Detected operation
+ * @property {Object|null} classification - Why the tool was given its operation: keyword, category, priority,
+ *   basis, confidence, fallback, explanation, and review when the confidence is below the review threshold
+ * @property {'allowed'|'denied'|'approved'|'rejected'|'would_deny'|'would_ask'|null} decision - Governance decision;
+ *   would_deny/would_ask are calls forwarded in monitor mode that enforcement would have blocked or held
+ * @property {string|null} schedule - Schedule window of the deciding rule, if it had one
+ * @property {number|null} durationMs - Time from receiving the call to its response
+ * @property {boolean|null} success - Whether the call succeeded (false when denied)
+ * @property {string|null} error - Error or denial message
+ * @property {number|null} responseSize - Response size in bytes
+ * @property {Object|null} arguments - Tool arguments, redacted
+ * @property {string} project - Working directory
+ * @property {string|null} detail - Extra information (e.g. rules path for policy events)
+ * @property {string|null} [prevHash] - SHA-256 of the previous line in the file (null for the first line)
+ * @property {string} [hmac] - HMAC-SHA256 of the entry, when a key is configured
+ */
+
+/**
+ * Create an id for one proxy process or server instance
+ * @returns {string} Session id
+ */
+export function createSessionId() {
+  return randomUUID();
+}
+
+/**
+ * Build an audit entry with every schema field present (null when not applicable).
+ * Tool, resource, prompt, arguments, error and detail are redacted, so the entry is safe to write anywhere.
+ * @param {Partial<AuditEntry> & { args?: Object }} fields - Known fields
+ * @param {{ redactFields?: string[] }} [options] - Extra argument names or dotted paths to redact
+ * @returns {AuditEntry}
+ */
+export function createAuditEntry(fields, { redactFields = [] } = {}) {
+  return {
+    timestamp: new Date().toISOString(),
+    event: fields.event || 'tool_call',
+    sessionId: fields.sessionId,
+    requestId: fields.requestId ?? null,
+    service: fields.service ?? null,
+    tool: redactText(fields.tool) ?? null,
+    resource: redactText(fields.resource) ?? null,
+    prompt: redactText(fields.prompt) ?? null,
+    operation: fields.operation ?? null,
+    classification: fields.classification ?? null,
+    decision: fields.decision ?? null,
+    schedule: fields.schedule ?? null,
+    durationMs: fields.durationMs ?? null,
+    success: fields.success ?? null,
+    error: fields.error ? redactText(fields.error) : null,
+    responseSize: fields.responseSize ?? null,
+    arguments: fields.args === undefined ? null : redactArguments(fields.args, redactFields),
+    project: process.cwd(),
+    detail: fields.detail ? redactText(fields.detail) : null
+  };
+}
+
+/**
+ * Hash a raw log line
+ * @param {string} line - Line without trailing newline
+ * @returns {string} Hex SHA-256
+ */
+export function hashLine(line) {
+  return createHash('sha256').update(line).digest('hex');
+}
+
+/**
+ * Sign a serialized entry
+ * @param {Buffer|string} key - HMAC key
+ * @param {string} serialized - Entry JSON without the hmac field
+ * @returns {string} Hex HMAC-SHA256
+ */
+function signEntry(key, serialized) {
+  return createHmac('sha256', key).update(serialized).digest('hex');
+}
+
+/**
+ * Read the last non-empty line of a file without loading the whole file
+ * @param {string} path - File path
+ * @returns {string|null} Last line, or null if the file is missing or empty
+ */
+function readLastLine(path) {
+  let fd;
+  try {
+    fd = openSync(path, 'r');
+  } catch (e) {
+    return null;
+  }
+
+  try {
+    const { size } = fstatSync(fd);
+    let position = size;
+    let tail = Buffer.alloc(0);
+
+    while (position > 0) {
+      const length = Math.min(4096, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      readSync(fd, chunk, 0, length, position);
+      tail = Buffer.concat([chunk, tail]);
+
+      // Ignore trailing newlines, then look for the start of the last line
+      let end = tail.length;
+      while (end > 0 && tail[end - 1] === 0x0a) end--;
+      const start = tail.lastIndexOf(0x0a, end - 1);
+      if (start !== -1 && end > 0) {
+        return tail.subarray(start + 1, end).toString('utf8');
+      }
+    }
+
+    const text = tail.toString('utf8').replace(/\n+$/, '');
+    return text || null;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Load the HMAC key used to sign audit entries
+ * @param {string} [keyPath] - Key file path
+ * @returns {Buffer|null} Key, or null if no key is configured
+ */
+export function loadAuditKey(keyPath = DEFAULT_AUDIT_KEY_PATH) {
+  if (!existsSync(keyPath)) {
+    return null;
+  }
+  return Buffer.from(readFileSync(keyPath, 'utf8').trim(), 'hex');
+}
+
+/**
+ * Create a new HMAC key file (readable only by the current user)
+ * @param {string} [keyPath] - Key file path
+ * @throws {Error} If a key already exists (replacing it would make existing signatures unverifiable)
+ */
+export function createAuditKey(keyPath = DEFAULT_AUDIT_KEY_PATH) {
+  if (existsSync(keyPath)) {
+    throw new Error(`Audit key already exists: ${keyPath}`);
+  }
+  mkdirSync(dirname(keyPath), { recursive: true });
+  writeFileSync(keyPath, randomBytes(32).toString('hex') + '\n', { mode: 0o600, flag: 'wx' });
+}
+
+/**
+ * Append an entry to a JSONL audit log file, chained to the previous line.
+ * With a rotation policy, a full or old file is rotated first; the chain continues into the new file.
+ * @param {string} logPath - Log file path
+ * @param {AuditEntry} entry - Entry to write
+ * @param {{ hmacKey?: Buffer|null, rotation?: import('./audit-rotation.js').RotationPolicy|null }} [options]
+ *   HMAC key to sign the entry with, rotation policy
+ */
+export function appendAuditEntry(logPath, entry, { hmacKey = null, rotation = null } = {}) {
+  // Several proxies for the same service append to the same file; the lock keeps the chain linear
+  const rotated = withFileLock(logPath, () => {
+    const previous = readLastLine(logPath);
+    const chained = { ...entry, prevHash: previous === null ? null : hashLine(previous) };
+
+    let line = JSON.stringify(chained);
+    if (hmacKey) {
+      line = JSON.stringify({ ...chained, hmac: signEntry(hmacKey, line) });
+    }
+
+    const rotate = Boolean(rotation) && shouldRotate(logPath, rotation);
+    if (rotate) {
+      rotateLogFile(logPath);
+    }
+
+    appendFileSync(logPath, line + '\n');
+    return rotate;
+  });
+
+  // Compression and retention run in the background, outside the lock
+  if (rotated) {
+    finishRotation(logPath, rotation).catch((error) => {
+      console.error(`[AUDIT] Warning: Failed to compress or prune rotated logs: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * Walk the hash chain of a log and report the first broken link. Files are read as streams,
+ * in order, with the chain continuing from one file to the next (rotated files, then the current file).
+ * Lines before the first chained entry (older log formats) are skipped; after it, every line must be chained.
+ * With a key, every chained entry must carry a valid HMAC; otherwise stripping the signatures and
+ * recomputing the hashes would rewrite the log undetected.
+ * @param {string|string[]} paths - Log file, or files in write order (".gz" files are decompressed)
+ * @param {{ hmacKey?: Buffer|null }} [options] - HMAC key to check signatures with
+ * @returns {Promise<{ ok: boolean, entries: number, chained: number, signed: number, lastHash: string|null,
+ *   brokenAt?: { file: string, line: number, reason: string } }>}
+ */
+export async function verifyAuditLog(paths, { hmacKey = null } = {}) {
+  const result = { ok: true, entries: 0, chained: 0, signed: 0, lastHash: null };
+  let previous = null;
+
+  const broken = (file, line, reason) => ({ ...result, ok: false, brokenAt: { file, line, reason } });
+
+  for (const path of Array.isArray(paths) ? paths : [paths]) {
+    let lineNumber = 0;
+
+    for await (const line of readLogLines(path)) {
+      lineNumber++;
+      result.entries++;
+
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // Not JSON - older text format
+      }
+
+      if (!entry || typeof entry !== 'object' || !('prevHash' in entry)) {
+        if (result.chained > 0) {
+          return broken(path, lineNumber, 'entry is not chained (inserted or rewritten)');
+        }
+        previous = line;
+        continue;
+      }
+
+      // The first chained entry may link to a file deleted by retention - it anchors the chain
+      if (result.chained > 0 || previous !== null) {
+        if (entry.prevHash !== hashLine(previous)) {
+          return broken(path, lineNumber, lineNumber > 1
+            ? `previous-entry hash mismatch (line ${lineNumber - 1} edited, or entries removed or reordered)`
+            : 'previous-entry hash mismatch (previous file edited, removed or truncated)');
+        }
+      }
+
+      if (hmacKey) {
+        if (!('hmac' in entry)) {
+          return broken(path, lineNumber, 'HMAC missing (signature stripped, or entry written without the key)');
+        }
+        const { hmac, ...unsigned } = entry;
+        if (hmac !== signEntry(hmacKey, JSON.stringify(unsigned))) {
+          return broken(path, lineNumber, 'HMAC mismatch (entry edited)');
+        }
+        result.signed++;
+      }
+
+      result.chained++;
+      previous = line;
+    }
+  }
+
+  result.lastHash = previous === null ? null : hashLine(previous);
+  return result;
+}
+
+/**
+ * Summarize the calls a monitor-mode policy forwarded but would have denied or held for approval
+ * @param {string|string[]} paths - Log file, or log files in write order
+ * @returns {Promise<{ total: number, calls: { decision: string, service: string, subject: string, operation: string, count: number, lastSeen: string }[] }>}
+ *   Calls grouped by decision, service and tool/resource/prompt, most frequent first
+ */
+export async function summarizeWouldBlock(paths) {
+  const groups = new Map();
+  let total = 0;
+
+  for (const path of [].concat(paths)) {
+    for await (const line of readLogLines(path)) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+      if (entry?.decision !== 'would_deny' && entry?.decision !== 'would_ask') continue;
+
+      const subject = entry.tool || entry.resource || entry.prompt;
+      const key = JSON.stringify([entry.decision, entry.service, subject, entry.operation]);
+      const group = groups.get(key) ||
+        { decision: entry.decision, service: entry.service, subject, operation: entry.operation, count: 0, lastSeen: null };
+      group.count++;
+      group.lastSeen = entry.timestamp;
+      groups.set(key, group);
+      total++;
+    }
+  }
+
+  const calls = [...groups.values()].sort((a, b) => b.count - a.count || a.subject.localeCompare(b.subject));
+  return { total, calls };
+}
+
+/**
+ * Format a log line for display. JSONL entries are summarized; older text lines are returned as-is.
+ * @param {string} line - Raw log line
+ * @returns {string} Display line
+ */
+export function formatAuditLine(line) {
+  let entry;
+  try {
+    entry = JSON.parse(line);
+  } catch (e) {
+    return line;
+  }
+
+  if (!entry || typeof entry !== 'object' || !entry.timestamp) {
+    return line;
+  }
+
+  if (!entry.decision) {
+    return `${entry.timestamp} | ${entry.event.toUpperCase()}${entry.detail ? ` | ${entry.detail}` : ''}`;
+  }
+
+  const parts = [entry.timestamp, entry.decision.toUpperCase()];
+  if (entry.event !== 'tool_call') parts.push(entry.event);
+  if (entry.tool) parts.push(`tool=${entry.tool}`);
+  if (entry.resource) parts.push(`resource=${entry.resource}`);
+  if (entry.prompt) parts.push(`prompt=${entry.prompt}`);
+  parts.push(`service=${entry.service}`, `operation=${entry.operation}`);
+  if (entry.classification?.review) parts.push(`review=confidence ${entry.classification.confidence}`);
+  if (entry.schedule) parts.push(`schedule=${entry.schedule}`);
+  if (entry.durationMs !== null) parts.push(`${entry.durationMs}ms`);
+  if (entry.success !== null) parts.push(entry.success ? 'ok' : `error=${entry.error}`);
+  return parts.join(' | ');
+}
@@ -0,0 +1,326 @@
+/**
+ * Rotation, compression and retention for audit log files.
+ * A service log "github.log" rotates to "github.log.<timestamp>", which is then gzipped to
+ * "github.log.<timestamp>.gz". Rotated files are read back as streams so large logs are never
+ * loaded into memory.
+ */
+
+import {
+  createReadStream, createWriteStream, readdirSync, renameSync, unlinkSync,
+  existsSync, statSync, openSync, readSync, closeSync
+} from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { createGzip, createGunzip } from 'node:zlib';
+import { pipeline } from 'node:stream/promises';
+import { createInterface } from 'node:readline';
+import { randomBytes } from 'node:crypto';
+
+/**
+ * @typedef {Object} RotationPolicy
+ * @property {number} [maxSizeMB] - Rotate when the file reaches this size
+ * @property {number} [maxAgeDays] - Rotate when the first entry in the file is older than this
+ * @property {number} [retentionDays] - Delete rotated files older than this
+ * @property {number} [maxFiles] - Keep at most this many rotated files
+ * @property {boolean} [compress] - Gzip rotated files
+ */
+
+/** Defaults for the "auditLog" setting in the rules file */
+export const DEFAULT_ROTATION = {
+  maxSizeMB: 10,
+  maxAgeDays: 7,
+  retentionDays: 90,
+  maxFiles: null,
+  compress: true
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Compression/retention runs per log path, so overlapping rotations in one process take turns
+const pendingFinishes = new Map();
+
+// Suffix of a rotated file: ".<timestamp>[-<n>][.gz]"
+const SEGMENT_SUFFIX = /^\.(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.\d{3}Z)(?:-(\d+))?(\.gz)?$/;
+
+// ISO timestamp at the start of older text lines ("[AUDIT] 2026-01-24T10:30:45.123Z | ...")
+const TEXT_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/;
+
+/**
+ * Merge a rules-file "auditLog" setting with the defaults
+ * @param {Partial<RotationPolicy>} [settings] - Value of rules.auditLog
+ * @returns {RotationPolicy}
+ */
+export function resolveRotationPolicy(settings) {
+  return { ...DEFAULT_ROTATION, ...settings };
+}
+
+/**
+ * Parse the suffix of a rotated file name
+ * @param {string} logPath - Current log file path
+ * @param {string} fileName - File name in the same directory
+ * @returns {{ rotatedAt: number, sequence: number, compressed: boolean }|null} Null if not a rotated file of logPath
+ */
+function parseSegmentName(logPath, fileName) {
+  const prefix = basename(logPath);
+  if (!fileName.startsWith(prefix)) {
+    return null;
+  }
+
+  const match = SEGMENT_SUFFIX.exec(fileName.slice(prefix.length));
+  if (!match) {
+    return null;
+  }
+
+  const iso = match[1].replace(/T(\d{2})-(\d{2})-(\d{2})/, 'T$1:$2:$3');
+  return { rotatedAt: Date.parse(iso), sequence: Number(match[2] || 0), compressed: Boolean(match[3]) };
+}
+
+/**
+ * List the rotated files of a log, oldest first. When a file exists both plain and gzipped
+ * (compression interrupted), the plain file is listed.
+ * @param {string} logPath - Current log file path
+ * @returns {{ path: string, rotatedAt: number, compressed: boolean }[]}
+ */
+export function listRotatedLogs(logPath) {
+  const dir = dirname(logPath);
+  if (!existsSync(dir)) {
+    return [];
+  }
+
+  const segments = new Map();
+  for (const fileName of readdirSync(dir)) {
+    const segment = parseSegmentName(logPath, fileName);
+    if (!segment) continue;
+
+    const key = fileName.replace(/\.gz$/, '');
+    if (!segments.has(key) || !segment.compressed) {
+      segments.set(key, { path: join(dir, fileName), ...segment });
+    }
+  }
+
+  return [...segments.values()]
+    .sort((a, b) => a.rotatedAt - b.rotatedAt || a.sequence - b.sequence)
+    .map(({ path, rotatedAt, compressed }) => ({ path, rotatedAt, compressed }));
+}
+
+/**
+ * List every file of a log in write order: rotated files oldest first, then the current file
+ * @param {string} logPath - Current log file path
+ * @returns {string[]} File paths
+ */
+export function listLogSegments(logPath) {
+  const paths = listRotatedLogs(logPath).map(segment => segment.path);
+  if (existsSync(logPath)) {
+    paths.push(logPath);
+  }
+  return paths;
+}
+
+/**
+ * Read the timestamp of the first entry in a log file
+ * @param {string} logPath - Log file path
+ * @returns {number|null} Epoch ms, or null if unknown
+ */
+function readFirstTimestamp(logPath) {
+  let fd;
+  try {
+    fd = openSync(logPath, 'r');
+  } catch (e) {
+    return null;
+  }
+
+  try {
+    const buffer = Buffer.alloc(4096);
+    const bytes = readSync(fd, buffer, 0, buffer.length, 0);
+    const firstLine = buffer.subarray(0, bytes).toString('utf8').split('\n')[0];
+
+    try {
+      const timestamp = Date.parse(JSON.parse(firstLine).timestamp);
+      if (!Number.isNaN(timestamp)) return timestamp;
+    } catch (e) {
+      // Older text format or a line longer than the buffer
+    }
+
+    const match = TEXT_TIMESTAMP.exec(firstLine);
+    return match ? Date.parse(match[0]) : null;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Check whether the current log file is due for rotation
+ * @param {string} logPath - Current log file path
+ * @param {RotationPolicy} policy - Rotation policy
+ * @param {number} [now] - Current time (ms)
+ * @returns {boolean}
+ */
+export function shouldRotate(logPath, policy, now = Date.now()) {
+  let size;
+  try {
+    size = statSync(logPath).size;
+  } catch (e) {
+    return false;
+  }
+
+  if (size === 0) {
+    return false;
+  }
+
+  if (policy.maxSizeMB && size >= policy.maxSizeMB * 1024 * 1024) {
+    return true;
+  }
+
+  if (policy.maxAgeDays) {
+    const firstTimestamp = readFirstTimestamp(logPath);
+    return firstTimestamp !== null && now - firstTimestamp >= policy.maxAgeDays * DAY_MS;
+  }
+
+  return false;
+}
+
+/**
+ * Move the current log file aside. The caller must hold the log lock so no entry is
+ * appended to the file while it is renamed.
+ * @param {string} logPath - Current log file path
+ * @param {number} [now] - Rotation time (ms)
+ * @returns {string} Path of the rotated file
+ */
+export function rotateLogFile(logPath, now = Date.now()) {
+  const stamp = new Date(now).toISOString().replace(/:/g, '-');
+  let rotatedPath = `${logPath}.${stamp}`;
+  for (let n = 1; existsSync(rotatedPath) || existsSync(`${rotatedPath}.gz`); n++) {
+    rotatedPath = `${logPath}.${stamp}-${n}`;
+  }
+
+  renameSync(logPath, rotatedPath);
+  return rotatedPath;
+}
+
+/**
+ * Gzip a rotated file and remove the original. Another proxy may compress the same file
+ * concurrently; whichever finishes first wins and the other stops quietly.
+ * @param {string} path - Rotated file path
+ */
+async function compressFile(path) {
+  const tmpPath = `${path}.gz.${process.pid}-${randomBytes(4).toString('hex')}.tmp`;
+
+  try {
+    await pipeline(createReadStream(path), createGzip(), createWriteStream(tmpPath));
+    if (existsSync(path)) {
+      renameSync(tmpPath, `${path}.gz`);
+      unlinkSync(path);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  } finally {
+    try {
+      unlinkSync(tmpPath);
+    } catch (e) {
+      // Renamed into place
+    }
+  }
+}
+
+/**
+ * Compress uncompressed rotated files and delete files outside the retention policy
+ * @param {string} logPath - Current log file path
+ * @param {RotationPolicy} policy - Rotation policy
+ * @param {number} [now] - Current time (ms)
+ * @returns {Promise<void>}
+ */
+export function finishRotation(logPath, policy, now = Date.now()) {
+  const previous = pendingFinishes.get(logPath) || Promise.resolve();
+  const current = previous.catch(() => {}).then(() => pruneAndCompress(logPath, policy, now));
+
+  pendingFinishes.set(logPath, current);
+  const cleanup = () => {
+    if (pendingFinishes.get(logPath) === current) pendingFinishes.delete(logPath);
+  };
+  current.then(cleanup, cleanup);
+
+  return current;
+}
+
+/**
+ * One pass of finishRotation
+ * @param {string} logPath - Current log file path
+ * @param {RotationPolicy} policy - Rotation policy
+ * @param {number} now - Current time (ms)
+ */
+async function pruneAndCompress(logPath, policy, now) {
+  const segments = listRotatedLogs(logPath);
+
+  const expired = new Set();
+  if (policy.retentionDays) {
+    for (const segment of segments) {
+      if (now - segment.rotatedAt > policy.retentionDays * DAY_MS) expired.add(segment);
+    }
+  }
+  if (policy.maxFiles) {
+    segments.slice(0, Math.max(0, segments.length - policy.maxFiles)).forEach(segment => expired.add(segment));
+  }
+
+  for (const segment of segments) {
+    if (expired.has(segment)) {
+      for (const path of [segment.path, segment.path.replace(/\.gz$/, ''), `${segment.path.replace(/\.gz$/, '')}.gz`]) {
+        try {
+          unlinkSync(path);
+        } catch (e) {
+          // Already removed
+        }
+      }
+    } else if (policy.compress && !segment.compressed) {
+      await compressFile(segment.path);
+    }
+  }
+}
+
+/**
+ * Stream the non-empty lines of a log file, transparently gunzipping rotated files
+ * @param {string} path - Log file path (".gz" files are decompressed)
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readLogLines(path) {
+  const file = createReadStream(path);
+  let input = file;
+  if (path.endsWith('.gz')) {
+    input = createGunzip();
+    file.on('error', error => input.destroy(error));
+    file.pipe(input);
+  }
+
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (line) yield line;
+    }
+  } finally {
+    lines.close();
+    file.destroy();
+  }
+}
+
+/**
+ * Get the last lines of a log across its rotated files, reading newest files first
+ * and keeping at most `count` lines in memory
+ * @param {string} logPath - Current log file path
+ * @param {number} count - Number of lines
+ * @returns {Promise<string[]>} Lines, oldest first
+ */
+export async function tailLog(logPath, count) {
+  let result = [];
+
+  for (const path of listLogSegments(logPath).reverse()) {
+    const needed = count - result.length;
+    if (needed <= 0) break;
+
+    const window = [];
+    for await (const line of readLogLines(path)) {
+      window.push(line);
+      if (window.length > needed) window.shift();
+    }
+    result = window.concat(result);
+  }
+
+  return result;
+}
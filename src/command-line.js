@@ -0,0 +1,53 @@
+/**
+ * Target command handling for mcp-gov-proxy.
+ * New wrapped configs pass the target as argv after "--"; the older "--target <string>" form is split here.
+ */
+
+/**
+ * Split a "--target" command string into argv.
+ * Whitespace separates arguments. A token that starts with a single or double quote runs to the
+ * matching quote, so quoted paths may contain spaces. Quotes inside a token (e.g. JSON) and
+ * backslashes (Windows paths) are kept literally, so unquoted strings from older wrapped configs
+ * split exactly as before.
+ * @param {string} command - Command string, e.g. `npx -y server "/path/with spaces"`
+ * @returns {string[]} Command followed by its arguments
+ * @throws {Error} If a quoted token is not closed
+ */
+export function splitCommandLine(command) {
+  const argv = [];
+  let i = 0;
+
+  while (i < command.length) {
+    if (/\s/.test(command[i])) {
+      i++;
+      continue;
+    }
+
+    let token = '';
+    const quote = command[i];
+    if (quote === '"' || quote === "'") {
+      const end = command.indexOf(quote, i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated ${quote} in target command: ${command}`);
+      }
+      token = command.slice(i + 1, end);
+      i = end + 1;
+    }
+
+    while (i < command.length && !/\s/.test(command[i])) {
+      token += command[i++];
+    }
+    argv.push(token);
+  }
+
+  return argv;
+}
+
+/**
+ * Describe argv as a single display string (for messages only, never for execution)
+ * @param {string[]} argv - Command and arguments
+ * @returns {string}
+ */
+export function formatCommandLine(argv) {
+  return argv.map(arg => /[\s"']/.test(arg) || arg === '' ? JSON.stringify(arg) : arg).join(' ');
+}
@@ -0,0 +1,51 @@
+/**
+ * Exclusive locks on shared files (audit logs, rate-limit state).
+ * Several proxy processes may write the same file; a "<path>.lock" file created with O_EXCL
+ * serializes them. Waits are synchronous so callers can keep simple read-modify-write code.
+ */
+
+import { openSync, closeSync, statSync, unlinkSync } from 'node:fs';
+
+// A lock file older than this is left over from a crashed writer (ms)
+const STALE_LOCK_MS = 2000;
+
+// Used to sleep synchronously while waiting for the lock
+const SLEEP_BUFFER = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Run fn while holding an exclusive lock on a file
+ * @param {string} path - Path of the file being protected (the lock is "<path>.lock")
+ * @param {function(): *} fn - Critical section
+ * @returns {*} Result of fn
+ */
+export function withFileLock(path, fn) {
+  const lockPath = `${path}.lock`;
+
+  for (;;) {
+    try {
+      closeSync(openSync(lockPath, 'wx'));
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      try {
+        if (Date.now() - statSync(lockPath).mtimeMs > STALE_LOCK_MS) {
+          unlinkSync(lockPath);
+          continue;
+        }
+      } catch (statError) {
+        // Lock released between open and stat - retry
+      }
+      Atomics.wait(SLEEP_BUFFER, 0, 0, 5);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    try {
+      unlinkSync(lockPath);
+    } catch (e) {
+      // Already removed as stale by another writer
+    }
+  }
+}
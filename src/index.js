@@ -6,7 +6,8 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { parseToolName } from './operation-detector.js';
+import { parseToolName, resolveClassifyOptions, resolveServiceAliases } from './operation-detector.js';
+import { createSessionId, createAuditEntry } from './audit-log.js';
 
 /**
  * @typedef {Object} ServerConfig
@@ -15,7 +16,15 @@ import { parseToolName } from './operation-detector.js';
  */
 
 /**
- * @typedef {Object.<string, Object.<string, 'allow'|'deny'>>} PermissionRules
+ * Permission rules keyed by service name. A service named "*" applies to every service.
+ * Each service may set its own "defaultPermission"; a top-level "defaultPermission"
+ * applies when neither the service nor "*" decides. "redact" lists (top-level or per service)
+ * name arguments whose values are never logged. "mode": "monitor" (top-level or per service)
+ * runs denied calls anyway and logs them as "would_deny". "categories" adds operation categories
+ * (see src/operation-taxonomy.js) that service rules can name like the built-in operations, and
+ * "classifications" maps tool names to the operation they count as, overriding detection. A service's
+ * "aliases" list other tool-name prefixes that belong to it ({ github: { aliases: ["gh"] } }).
+ * @typedef {Object.<string, Object.<string, 'allow'|'deny'|'ask'|'enforce'|'monitor'|string[]>|'allow'|'deny'|'ask'|'enforce'|'monitor'|string[]>} PermissionRules
  */
 
 /**
@@ -35,12 +44,13 @@ import { parseToolName } from './operation-detector.js';
 export class GovernedMCPServer {
   /**
    * @param {ServerConfig} config - Server configuration {name, version}
-   * @param {PermissionRules} rules - Permission rules {serviceName: {operation: 'allow'|'deny'}}
+   * @param {PermissionRules} rules - Permission rules {serviceName: {operation: 'allow'|'deny'}, defaultPermission?}
    */
   constructor(config, rules = {}) {
     this.config = config;
     this.rules = rules;
     this.tools = new Map(); // Store tool definitions and handlers
+    this.sessionId = createSessionId(); // Identifies this instance in audit entries
     this.server = new Server(
       {
         name: config.name,
@@ -91,32 +101,46 @@ export class GovernedMCPServer {
         };
       }
 
-      // Check permission
-      const allowed = this.checkPermission(toolName);
+      const startedAt = Date.now();
 
-      if (!allowed) {
-        this.logOperation(toolName, args, 'denied', 'Permission denied by governance rules');
+      // Check permission; in monitor mode a denied call still runs
+      const allowed = this.checkPermission(toolName, args);
+      const decision = allowed ? 'allowed' : this.isMonitored(toolName) ? 'would_deny' : 'denied';
+
+      if (decision === 'denied') {
+        const classification = this.classifyTool(toolName, args);
+        this.logOperation(toolName, args, 'denied', {
+          durationMs: Date.now() - startedAt,
+          error: 'Permission denied by governance rules'
+        });
 
         return {
           content: [
             {
               type: 'text',
-              text: `Permission denied: ${toolName} is not allowed by governance policy`
+              text: `Permission denied: ${toolName} is not allowed by governance policy ` +
+                `(classified as ${classification.operation}: ${classification.explanation})`
             }
           ],
           isError: true
         };
       }
 
-      this.logOperation(toolName, args, 'allowed');
-
       try {
         const result = await tool.handler(args);
-        this.logOperation(toolName, args, 'success');
+        this.logOperation(toolName, args, decision, {
+          durationMs: Date.now() - startedAt,
+          success: !result?.isError,
+          responseSize: Buffer.byteLength(JSON.stringify(result ?? null))
+        });
         return result;
       } catch (error) {
         const errorMessage = error instanceof Error ? error.message : String(error);
-        this.logOperation(toolName, args, 'error', errorMessage);
+        this.logOperation(toolName, args, decision, {
+          durationMs: Date.now() - startedAt,
+          success: false,
+          error: errorMessage
+        });
         return {
           content: [
             {
@@ -130,50 +154,87 @@ export class GovernedMCPServer {
     });
   }
 
+  /**
+   * Classify a tool with the categories, "classifications" overrides and service aliases from the rules.
+   * Tools whose name has no operation keyword are classified from their registered description and input schema.
+   * @param {string} toolName - Tool name
+   * @param {Object} [args] - Call arguments, which decide for tools such as "execute_sql"
+   * @returns {ReturnType<typeof parseToolName>} Service, operation and the classification explaining it
+   */
+  classifyTool(toolName, args) {
+    return parseToolName(toolName, {
+      definition: this.tools.get(toolName)?.definition,
+      args,
+      ...resolveClassifyOptions(this.rules),
+      serviceAliases: resolveServiceAliases(this.rules)
+    });
+  }
+
   /**
    * Check if a tool operation is permitted by rules.
    * @param {string} toolName - Tool name to check
+   * @param {Object} [args] - Call arguments
    * @returns {boolean} True if allowed, false if denied
    */
-  checkPermission(toolName) {
-    const { service, operation } = parseToolName(toolName);
-
-    // Check if service has rules
-    if (!this.rules[service]) {
-      // Default to 'allow' if no rule exists (permissive for POC)
-      return true;
-    }
-
-    // Check operation permission
-    const permission = this.rules[service][operation];
-    if (permission === 'deny') {
-      return false;
-    }
-
-    // Default to allow
-    return true;
+  checkPermission(toolName, args) {
+    const { service, operation } = this.classifyTool(toolName, args);
+    const serviceRules = this.rules[service] || {};
+    const wildcardRules = this.rules['*'] || {};
+
+    // Service rule → "*" rule → service default → "*" default → global default
+    const permission = serviceRules[operation] ||
+      wildcardRules[operation] ||
+      serviceRules.defaultPermission ||
+      wildcardRules.defaultPermission ||
+      this.rules.defaultPermission ||
+      'allow'; // Permissive when nothing is configured (backward compatible)
+
+    // There is no approval channel in-process, so "ask" cannot be granted here
+    return permission !== 'deny' && permission !== 'ask';
   }
 
   /**
-   * Log operation to stderr as structured JSON.
+   * Check if a tool's service runs in monitor mode (denials are logged, not enforced).
+   * @param {string} toolName - Tool name to check
+   * @returns {boolean} True if the service or file-level "mode" is "monitor"
+   */
+  isMonitored(toolName) {
+    const { service } = this.classifyTool(toolName);
+    const mode = this.rules[service]?.mode || this.rules['*']?.mode || this.rules.mode || 'enforce';
+    return mode === 'monitor';
+  }
+
+  /**
+   * Log a completed tool call to stderr as a JSONL audit entry (same schema as mcp-gov-proxy).
    * @param {string} tool - Tool name
-   * @param {Object|string} args - Arguments (will be truncated to 200 chars)
-   * @param {string} status - Status: 'allowed', 'denied', 'success', 'error'
-   * @param {string} detail - Optional detail message
+   * @param {Object} args - Tool arguments (redacted before logging)
+   * @param {'allowed'|'denied'|'would_deny'} decision - Governance decision
+   * @param {{durationMs?: number, success?: boolean, error?: string, responseSize?: number}} [outcome] - Call outcome
    */
-  logOperation(tool, args, status, detail = '') {
-    const argsStr = typeof args === 'string' ? args : JSON.stringify(args);
-    const truncatedArgs = argsStr.length > 200 ? argsStr.substring(0, 200) + '...' : argsStr;
+  logOperation(tool, args, decision, outcome = {}) {
+    const { service, ...classification } = this.classifyTool(tool, args);
 
-    const logEntry = {
-      timestamp: new Date().toISOString(),
+    const entry = createAuditEntry({
+      sessionId: this.sessionId,
+      service,
       tool,
-      args: truncatedArgs,
-      status,
-      detail
-    };
+      operation: classification.operation,
+      classification,
+      decision,
+      durationMs: outcome.durationMs,
+      success: decision === 'denied' ? false : outcome.success,
+      error: outcome.error,
+      responseSize: outcome.responseSize,
+      args
+    }, {
+      redactFields: [
+        ...(this.rules.redact || []),
+        ...(this.rules['*']?.redact || []),
+        ...(this.rules[service]?.redact || [])
+      ]
+    });
 
-    console.error(JSON.stringify(logEntry));
+    console.error(JSON.stringify(entry));
   }
 
   /**
@@ -1,67 +1,673 @@
 /**
  * Operation detection logic for MCP tool names.
- * Analyzes tool names to determine operation type (admin/delete/execute/write/read).
+ * Analyzes tool names to determine operation type (admin/delete/execute/write/read),
+ * optionally merged with the MCP annotations (readOnlyHint, destructiveHint) the server publishes
+ * and with the arguments of the call (see argument-classifiers.js).
  */
 
-import { OPERATION_KEYWORDS } from './operation-keywords.js';
+import { argumentType, classifyArguments } from './argument-classifiers.js';
+import { ACTION_NOUNS, CONNECTOR_WORDS, DESTRUCTIVE_PROPERTIES } from './operation-keywords.js';
+import { DEFAULT_TAXONOMY, resolveTaxonomy } from './operation-taxonomy.js';
+import { KNOWN_SERVICE_PREFIXES } from './service-prefixes.js';
 
 /**
- * @typedef {'admin'|'delete'|'execute'|'write'|'read'} OperationType
+ * @typedef {'admin'|'delete'|'execute'|'write'|'read'|string} OperationType
+ * A built-in operation type, or a category defined in the rules file
  */
 
 /**
- * Extract service name from tool name prefix (e.g., "github_list_repos" → "github")
+ * @typedef {'ignore'|'escalate'|'trust'} AnnotationTrust
+ * How far server-provided annotations, descriptions and schemas are believed: "ignore" uses the name
+ * only, "escalate" lets them make a tool more restricted but never less, "trust" lets them replace
+ * the keyword result.
+ */
+
+/**
+ * @typedef {Object} ToolAnnotations
+ * @property {boolean} [readOnlyHint] - The tool does not modify its environment
+ * @property {boolean} [destructiveHint] - The tool may perform destructive updates
+ * @property {boolean} [idempotentHint] - Repeated calls with the same arguments have no additional effect
+ * @property {boolean} [openWorldHint] - The tool interacts with external entities
+ */
+
+/**
+ * @typedef {'escalate'|'trust'} ArgumentTrust
+ * How far call arguments are believed: "escalate" lets them make a call more restricted but never
+ * less, "trust" lets them decide the operation of multiplexed tools ("execute_sql" with a SELECT is a read).
+ */
+
+/** Default trust level for server-provided annotations */
+export const DEFAULT_ANNOTATION_TRUST = 'escalate';
+
+/** Default trust level for call arguments */
+export const DEFAULT_ARGUMENT_TRUST = 'escalate';
+
+/** Classifications below this confidence are flagged for review unless the rules set another threshold */
+export const DEFAULT_LOW_CONFIDENCE_THRESHOLD = 0.5;
+
+/** Order in which a keyword listed under several built-in operation types is resolved */
+export const OPERATION_PRIORITY = DEFAULT_TAXONOMY.order;
+
+/**
+ * @typedef {Object} Classification
+ * @property {OperationType} operation - Detected operation
+ * @property {string|null} keyword - Keyword that decided the operation (null for the default)
+ * @property {string|null} word - Word of the tool name that matched the keyword
+ * @property {OperationType} category - Operation type the keyword was classified as
+ * @property {OperationType[]} categories - Every operation type listing the keyword, in priority order
+ * @property {number} priority - Position of the category in the priority order (1 = highest; admin with the built-in taxonomy)
+ * @property {'action'|'connector'|'admin-noun'|'noun'|'default'|'description'|'schema'|'annotations'|'arguments'|'override'} basis - What
+ *   decided the operation
+ * @property {number} confidence - 0..1; lower for ambiguous keywords, nouns and the default
+ * @property {boolean} fallback - True when no keyword matched and the default operation was used
+ * @property {string} explanation - Human-readable reason
+ * @property {boolean} [review] - Set by callers when the confidence is below the review threshold
+ */
+
+// Confidence of each kind of classification
+const CONFIDENCE = {
+  action: 0.9,
+  ambiguous: 0.6,
+  connector: 0.8,
+  adminNoun: 0.7,
+  noun: 0.4,
+  fallback: 0.2,
+  description: 0.5,
+  descriptionNoun: 0.3,
+  schema: 0.4,
+  trustedAnnotation: 0.8,
+  escalatingAnnotation: 0.9,
+  arguments: 0.9
+};
+
+/**
+ * Split a tool name into lowercase words on snake_case, camelCase, kebab-case, dots and other separators.
+ * "getPullRequest" → ["get", "pull", "request"], "github.list-PRs" → ["github", "list", "prs"]
+ * @param {string} toolName - Tool name
+ * @returns {string[]}
+ */
+export function tokenizeToolName(toolName) {
+  if (!toolName || typeof toolName !== 'string') {
+    return [];
+  }
+
+  return toolName
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z]{2,})/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Candidate base forms of a word, most literal first: "settings" → settings, setting, sett, sette, set
+ * @param {string} word - Lowercase word
+ * @returns {string[]}
+ */
+function wordForms(word) {
+  const forms = [word];
+
+  // Plurals and third person: "issues", "copies", "pushes", "prs"
+  if (word.endsWith('ies') && word.length > 4) {
+    forms.push(`${word.slice(0, -3)}y`);
+  } else if (word.endsWith('es') && word.length > 3) {
+    forms.push(word.slice(0, -2), word.slice(0, -1));
+  } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word) && word.length > 2) {
+    forms.push(word.slice(0, -1));
+  }
+
+  // Participles: "running", "created", "stopped"
+  for (const form of [...forms]) {
+    const match = /^(.{2,}?)(ing|ed)$/.exec(form);
+    if (match) {
+      const base = match[1];
+      forms.push(base, `${base}e`);
+      if (/([^aeiouylsz])\1$/.test(base)) {
+        forms.push(base.slice(0, -1));
+      }
+    }
+  }
+
+  return forms;
+}
+
+/**
+ * Look up the keyword a word stands for
+ * @param {string} word - Lowercase word
+ * @param {import('./operation-taxonomy.js').Taxonomy} taxonomy - Categories and keywords
+ * @returns {{ word: string, keyword: string, operation: OperationType, categories: OperationType[], noun: boolean }|null}
+ */
+function classifyWord(word, taxonomy) {
+  for (const form of wordForms(word)) {
+    const entry = taxonomy.index.get(form);
+    if (entry) {
+      return { word, keyword: form, ...entry };
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the more restrictive (higher priority) of two operation types
+ * @param {OperationType} a
+ * @param {OperationType} b
+ * @param {import('./operation-taxonomy.js').Taxonomy} [taxonomy] - Categories and their priority
+ * @returns {OperationType}
+ */
+function moreRestrictive(a, b, taxonomy = DEFAULT_TAXONOMY) {
+  return taxonomy.rank[b] > taxonomy.rank[a] ? b : a;
+}
+
+/**
+ * Find a known service name or alias at the start of a name without "_", ".", ":" or "/" separators,
+ * followed by "-" or a capital letter ("githubListRepos", "gh-list-repos")
+ * @param {string} name - Tool name
+ * @param {Object.<string, string>} aliases - Alias → service name
+ * @returns {string|null} The longest matching prefix, lowercase
+ */
+function knownPrefixAt(name, aliases) {
+  const lower = name.toLowerCase();
+  let found = null;
+
+  for (const prefix of [...KNOWN_SERVICE_PREFIXES, ...Object.keys(aliases)]) {
+    if (lower.startsWith(prefix) && /^(-|[A-Z])/.test(name.slice(prefix.length)) && prefix.length > (found?.length || 0)) {
+      found = prefix;
+    }
+  }
+  return found;
+}
+
+/**
+ * Find the part of a tool name that names its service
+ * @param {string} toolName - Tool name
+ * @param {Object.<string, string>} aliases - Alias → service name
+ * @returns {string|null} Prefix as written, or null if the name has none
+ */
+function servicePrefix(toolName, aliases) {
+  // Client-namespaced names: "mcp__github__list_repos"
+  const namespaced = /^mcp__(.+?)__./.exec(toolName);
+  if (namespaced) {
+    return namespaced[1];
+  }
+
+  // Package-style names: "mcp-server-github_list_repos"
+  const name = toolName.replace(/^mcp[-_]server[-_](?=[a-z0-9])/i, '');
+
+  let prefix;
+  const separated = /^([^_.:/]+)[_.:/]+[^_.:/]/.exec(name);
+  if (separated) {
+    prefix = separated[1];
+  } else {
+    prefix = knownPrefixAt(name, aliases) || /^([^-]+)-./.exec(name)?.[1] || /^([a-z0-9]+)[A-Z]/.exec(name)?.[1];
+  }
+  if (!prefix) {
+    return null;
+  }
+
+  // Names that start with an action ("list_repos", "getFileContents") have no service prefix
+  const lower = prefix.toLowerCase();
+  const word = classifyWord(lower, DEFAULT_TAXONOMY);
+  if (word && !word.noun && !KNOWN_SERVICE_PREFIXES.has(lower) && !Object.hasOwn(aliases, lower)) {
+    return null;
+  }
+  return prefix;
+}
+
+/**
+ * Extract service name from tool name prefix ("github_list_repos", "github.list_repos", "githubListRepos",
+ * "mcp-server-github_list_repos" and "mcp__github__list_repos" → "github")
  * @param {string} toolName - Full tool name
+ * @param {{ aliases?: Object.<string, string> }} [options] - Lowercase alias → service name (see resolveServiceAliases)
  * @returns {string} Service name or "unknown"
  */
-export function extractService(toolName) {
+export function extractService(toolName, { aliases = {} } = {}) {
   if (!toolName || typeof toolName !== 'string') {
     return 'unknown';
   }
 
-  // Split by underscore and take first segment as service name
-  const parts = toolName.split('_');
-  return parts.length > 1 ? parts[0] : 'unknown';
+  const prefix = servicePrefix(toolName, aliases);
+  if (!prefix) {
+    return 'unknown';
+  }
+  return Object.hasOwn(aliases, prefix.toLowerCase()) ? aliases[prefix.toLowerCase()] : prefix;
+}
+
+/**
+ * Collect the "aliases" of each service into an alias → service map
+ * @param {Object.<string, { aliases?: string[] }>} [services] - Settings by service name
+ * @returns {Object.<string, string>} Lowercase alias → service name
+ */
+export function resolveServiceAliases(services) {
+  const aliases = {};
+  for (const [service, settings] of Object.entries(services || {})) {
+    if (Array.isArray(settings?.aliases)) {
+      for (const alias of settings.aliases) {
+        aliases[alias.toLowerCase()] = service;
+      }
+    }
+  }
+  return aliases;
+}
+
+/**
+ * Get the operation type implied by a tool's annotations.
+ * Only explicit hints count: the MCP defaults (destructiveHint true) would make every unannotated tool destructive.
+ * idempotentHint and openWorldHint do not map to an operation type.
+ * @param {ToolAnnotations} [annotations] - Annotations from the tools/list entry
+ * @returns {OperationType|null} 'read', 'delete', 'write', or null if the hints say nothing
+ */
+export function operationFromAnnotations(annotations) {
+  if (!annotations || typeof annotations !== 'object') {
+    return null;
+  }
+  if (annotations.readOnlyHint === true) {
+    return 'read';
+  }
+  if (annotations.destructiveHint === true) {
+    return 'delete';
+  }
+  if (annotations.destructiveHint === false) {
+    return 'write';
+  }
+  return null;
+}
+
+/**
+ * Get the annotation trust level for a service.
+ * Order: services[service].annotationTrust → services["*"].annotationTrust → annotationTrust → escalate
+ * @param {Object} rules - Rules file contents
+ * @param {string} service - Service name
+ * @returns {AnnotationTrust}
+ */
+export function resolveAnnotationTrust(rules, service) {
+  return rules?.services?.[service]?.annotationTrust ||
+    rules?.services?.['*']?.annotationTrust ||
+    rules?.annotationTrust ||
+    DEFAULT_ANNOTATION_TRUST;
+}
+
+/**
+ * Get the argument trust level for a service.
+ * Order: services[service].argumentTrust → services["*"].argumentTrust → argumentTrust → escalate
+ * @param {Object} rules - Rules file contents
+ * @param {string} service - Service name
+ * @returns {ArgumentTrust}
+ */
+export function resolveArgumentTrust(rules, service) {
+  return rules?.services?.[service]?.argumentTrust ||
+    rules?.services?.['*']?.argumentTrust ||
+    rules?.argumentTrust ||
+    DEFAULT_ARGUMENT_TRUST;
+}
+
+/**
+ * Get the low-confidence review settings for a service. Each field is looked up on its own:
+ * services[service].lowConfidence → services["*"].lowConfidence → lowConfidence → default
+ * @param {Object} rules - Rules file contents
+ * @param {string} service - Service name
+ * @returns {{ threshold: number, action: 'flag'|'ask' }}
+ */
+export function resolveLowConfidence(rules, service) {
+  const levels = [rules?.services?.[service], rules?.services?.['*'], rules].map(settings => settings?.lowConfidence || {});
+  return {
+    threshold: levels.find(settings => settings.threshold !== undefined)?.threshold ?? DEFAULT_LOW_CONFIDENCE_THRESHOLD,
+    action: levels.find(settings => settings.action !== undefined)?.action || 'flag'
+  };
 }
 
 /**
- * Detect operation type from tool name using priority-based keyword matching.
+ * Get the classification options a rules file sets for a service: annotation and argument trust, categories and overrides
+ * @param {Object} rules - Rules file contents
+ * @param {string} [service] - Service name (trust levels are looked up per service)
+ * @returns {ClassifyOptions}
+ */
+export function resolveClassifyOptions(rules, service) {
+  return {
+    trust: resolveAnnotationTrust(rules, service),
+    argumentTrust: resolveArgumentTrust(rules, service),
+    taxonomy: resolveTaxonomy(rules),
+    classifications: rules?.classifications
+  };
+}
+
+/**
+ * Detect operation type from tool name using priority-based keyword matching: of several action
+ * words the most restrictive wins. The result is merged with the tool's annotations according to the trust level.
  * Priority order: admin → delete → execute → write → read
  * @param {string} toolName - Tool name to analyze
- * @returns {OperationType} Operation type: 'admin', 'delete', 'execute', 'write', 'read', or 'write' (default)
+ * @param {ClassifyOptions} [options] - Annotations from tools/list and the rules file's taxonomy
+ * @returns {OperationType} Operation type: 'admin', 'delete', 'execute', 'write', 'read', a custom category, or 'write' (default)
  */
-export function detectOperation(toolName) {
-  if (!toolName || typeof toolName !== 'string') {
-    return 'write'; // Conservative default
+export function detectOperation(toolName, options = {}) {
+  return classifyOperation(toolName, options).operation;
+}
+
+/**
+ * @typedef {Object} ClassifyOptions
+ * @property {ToolAnnotations} [annotations] - Annotations from the tools/list entry
+ * @property {AnnotationTrust} [trust] - How far the annotations are believed
+ * @property {import('./operation-taxonomy.js').Taxonomy} [taxonomy] - Categories and keywords (see resolveTaxonomy)
+ * @property {{ description?: string, inputSchema?: Object }} [definition] - Tool definition from tools/list, consulted
+ *   when the name has no operation keyword
+ * @property {Object.<string, OperationType>} [classifications] - Operation of named tools, overriding detection
+ * @property {Object} [args] - Arguments of the call, for tools whose arguments decide what they do
+ * @property {ArgumentTrust} [argumentTrust] - Whether the arguments may lower the operation of multiplexed tools
+ * @property {Object.<string, string>} [serviceAliases] - Alias → service name, used by parseToolName
+ */
+
+/**
+ * Classify a tool and explain the result: which keyword decided, which operation type it was
+ * counted under, how sure the detector is and whether it fell back to the default.
+ * Names without an operation keyword fall back to the tool's description and input schema, at lower confidence.
+ * SQL statements, shell commands and HTTP methods in the arguments can raise the operation. With
+ * argumentTrust "trust" they decide for multiplexed tools, whose name is an execute or has no keyword
+ * ("execute_sql", "git"), and may lower it.
+ * A tool named in "classifications" gets that operation, whatever its name, annotations and arguments say.
+ * @param {string} toolName - Tool name to analyze
+ * @param {ClassifyOptions} [options] - Annotations from tools/list, call arguments, the rules file's taxonomy and overrides
+ * @returns {Classification}
+ */
+export function classifyOperation(toolName, {
+  annotations, definition, args, trust = DEFAULT_ANNOTATION_TRUST, argumentTrust = DEFAULT_ARGUMENT_TRUST,
+  taxonomy = DEFAULT_TAXONOMY, classifications
+} = {}) {
+  const override = classifications && Object.hasOwn(classifications, toolName) ? classifications[toolName] : null;
+  if (override) {
+    return {
+      operation: override,
+      keyword: null,
+      word: null,
+      category: override,
+      categories: [override],
+      priority: taxonomy.order.indexOf(override) + 1,
+      basis: 'override',
+      confidence: 1,
+      fallback: false,
+      explanation: `set to ${override} by "classifications" in the rules file`
+    };
   }
 
-  const lowerName = toolName.toLowerCase();
+  const named = classifyName(toolName, taxonomy);
+  // Descriptions and schemas come from the server, like annotations
+  const fromName = named.fallback && definition && trust !== 'ignore' ? classifyDefinition(named, definition, trust, taxonomy) : named;
+  const classification = mergeAnnotations(fromName, annotations, trust, taxonomy);
+
+  // Annotations describe every call of the tool; the arguments describe this one
+  const fromArguments = args ? classifyArguments(args, { toolName, classifyWord: word => classifyWord(word, taxonomy) }) : null;
+  if (!fromArguments) {
+    return classification;
+  }
+  const multiplexed = argumentTrust === 'trust' && isMultiplexed(named);
+  const raised = moreRestrictive(classification.operation, fromArguments.operation, taxonomy) !== classification.operation;
+  if (!multiplexed && !raised) {
+    return classification;
+  }
+  return {
+    ...classification,
+    operation: fromArguments.operation,
+    category: fromArguments.operation,
+    categories: [fromArguments.operation],
+    priority: taxonomy.order.indexOf(fromArguments.operation) + 1,
+    basis: 'arguments',
+    confidence: CONFIDENCE.arguments,
+    fallback: false,
+    explanation: `${classification.explanation}; argument "${fromArguments.argument}": ${fromArguments.detail} ` +
+      `${multiplexed ? 'makes it' : 'raises it to'} ${fromArguments.operation}`
+  };
+}
 
-  // Check keywords in priority order
-  /** @type {OperationType[]} */
-  const operationTypes = ['admin', 'delete', 'execute', 'write', 'read'];
+/**
+ * @param {Classification} named - Classification of a tool name
+ * @returns {boolean} True if the name leaves the operation to the arguments ("execute_sql", "git")
+ */
+function isMultiplexed(named) {
+  return named.fallback || named.operation === 'execute';
+}
+
+/**
+ * Check whether the arguments of a call can lower a tool's operation: arguments are trusted, the name
+ * leaves it to them and the input schema has an argument a classifier handles (see argument-classifiers.js)
+ * @param {string} toolName - Tool name
+ * @param {{ inputSchema?: Object }} [definition] - Tool definition from tools/list
+ * @param {Pick<ClassifyOptions, 'taxonomy'|'argumentTrust'>} [options] - Categories and keywords, argument trust
+ * @returns {boolean}
+ */
+export function isArgumentSensitive(toolName, definition, { taxonomy = DEFAULT_TAXONOMY, argumentTrust = DEFAULT_ARGUMENT_TRUST } = {}) {
+  return argumentTrust === 'trust' && isMultiplexed(classifyName(toolName, taxonomy)) &&
+    Object.keys(definition?.inputSchema?.properties || {}).some(name => argumentType(name) !== null);
+}
+
+/**
+ * Merge the annotations of a tool with its name-based classification
+ * @param {Classification} fromName - Classification from the name, description and schema
+ * @param {ToolAnnotations} [annotations] - Annotations from the tools/list entry
+ * @param {AnnotationTrust} trust - How far the annotations are believed
+ * @param {import('./operation-taxonomy.js').Taxonomy} taxonomy - Categories and keywords
+ * @returns {Classification}
+ */
+function mergeAnnotations(fromName, annotations, trust, taxonomy) {
+  const fromAnnotations = trust === 'ignore' ? null : operationFromAnnotations(annotations);
 
-  for (const opType of operationTypes) {
-    const keywords = /** @type {Record<OperationType, string[]>} */ (OPERATION_KEYWORDS)[opType];
-    for (const keyword of keywords) {
-      if (lowerName.includes(keyword)) {
-        return opType;
+  if (!fromAnnotations) {
+    return fromName;
+  }
+
+  const hint = `${annotations.readOnlyHint === true ? 'readOnlyHint' : 'destructiveHint'} annotation`;
+  if (trust === 'trust' && fromAnnotations !== fromName.operation) {
+    return {
+      ...fromName,
+      operation: fromAnnotations,
+      basis: 'annotations',
+      confidence: CONFIDENCE.trustedAnnotation,
+      fallback: false,
+      explanation: `${fromName.explanation}; trusted ${hint} makes it ${fromAnnotations}`
+    };
+  }
+  if (moreRestrictive(fromName.operation, fromAnnotations, taxonomy) !== fromName.operation) {
+    return {
+      ...fromName,
+      operation: fromAnnotations,
+      basis: 'annotations',
+      confidence: CONFIDENCE.escalatingAnnotation,
+      fallback: false,
+      explanation: `${fromName.explanation}; ${hint} raises it to ${fromAnnotations}`
+    };
+  }
+  if (fromAnnotations === fromName.operation) {
+    return {
+      ...fromName,
+      confidence: Math.max(fromName.confidence, CONFIDENCE.trustedAnnotation),
+      fallback: false,
+      explanation: `${fromName.explanation}; confirmed by ${hint}`
+    };
+  }
+  return { ...fromName, explanation: `${fromName.explanation}; ${hint} cannot lower it to ${fromAnnotations}` };
+}
+
+/**
+ * Classify a tool whose name has no operation keyword from its definition. The first sentence of the
+ * description is read like a name ("Retrieves a Notion page" is a read). Input properties only count
+ * when they point past a write ("confirm_delete", "force"): a "query" property says nothing about
+ * what the tool does with it. The definition comes from the server, so unless it is trusted it can
+ * only raise the default.
+ * @param {Classification} fallback - Default classification of the name
+ * @param {{ description?: string, inputSchema?: Object }} definition - Tool definition
+ * @param {AnnotationTrust} trust - How far server-provided text is believed
+ * @param {import('./operation-taxonomy.js').Taxonomy} taxonomy - Categories and keywords
+ * @returns {Classification} The fallback when the definition says nothing either, or would lower it
+ */
+function classifyDefinition(fallback, definition, trust, taxonomy) {
+  const evidence = [];
+
+  const sentence = typeof definition.description === 'string' ? definition.description.trim().split(/(?<=[.!?])\s|\n/)[0] : '';
+  const described = classifyName(sentence, taxonomy);
+  if (!described.fallback) {
+    evidence.push({
+      ...described,
+      basis: 'description',
+      confidence: described.basis === 'noun' ? CONFIDENCE.descriptionNoun : CONFIDENCE.description,
+      explanation: `no operation keyword in the name; from the description: ${described.explanation}`
+    });
+  }
+
+  let strongest = null;
+  for (const property of Object.keys(definition.inputSchema?.properties || {})) {
+    for (const word of tokenizeToolName(property)) {
+      const match = DESTRUCTIVE_PROPERTIES.has(word)
+        ? { word, keyword: word, operation: 'delete', categories: ['delete'], noun: false }
+        : classifyWord(word, taxonomy);
+      if (match && !match.noun && (!strongest || moreRestrictive(strongest.match.operation, match.operation, taxonomy) !== strongest.match.operation)) {
+        strongest = { property, match };
       }
     }
   }
+  if (strongest && moreRestrictive('write', strongest.match.operation, taxonomy) !== 'write') {
+    evidence.push(fromMatch(strongest.match, {
+      basis: 'schema',
+      confidence: CONFIDENCE.schema,
+      explanation: `no operation keyword in the name; input property "${strongest.property}": ${describeKeyword(strongest.match)}`
+    }, taxonomy));
+  }
+
+  if (evidence.length === 0) {
+    return fallback;
+  }
+  const decided = evidence.reduce((a, b) => (moreRestrictive(a.operation, b.operation, taxonomy) === a.operation ? a : b));
+  if (trust !== 'trust' && moreRestrictive(fallback.operation, decided.operation, taxonomy) !== decided.operation) {
+    return { ...fallback, explanation: `${fallback.explanation}; the ${decided.basis} cannot lower it to ${decided.operation}` };
+  }
+  return decided;
+}
+
+/**
+ * Describe a keyword match: '"post" is an execute keyword (also write; execute has priority)'
+ * @param {{ word: string, keyword: string, operation: OperationType, categories: OperationType[] }} match
+ * @returns {string}
+ */
+function describeKeyword(match) {
+  const word = match.word === match.keyword ? `"${match.word}"` : `"${match.word}" ("${match.keyword}")`;
+  const others = match.categories.filter(category => category !== match.operation);
+  const also = others.length > 0 ? ` (also ${others.join(', ')}; ${match.operation} has priority)` : '';
+  return `${word} is ${/^[aeiou]/.test(match.operation) ? 'an' : 'a'} ${match.operation} keyword${also}`;
+}
 
-  // Default to 'write' if no match (conservative)
-  return 'write';
+/**
+ * Build a classification from the keyword match that decided it
+ * @param {Object} match - Result of classifyWord
+ * @param {Pick<Classification, 'basis'|'confidence'|'explanation'>} fields - What decided and how surely
+ * @param {import('./operation-taxonomy.js').Taxonomy} taxonomy - Categories and their priority
+ * @returns {Classification}
+ */
+function fromMatch(match, fields, taxonomy) {
+  return {
+    operation: match.operation,
+    keyword: match.keyword,
+    word: match.word,
+    category: match.operation,
+    categories: match.categories,
+    priority: taxonomy.order.indexOf(match.operation) + 1,
+    basis: fields.basis,
+    confidence: fields.confidence,
+    fallback: false,
+    explanation: fields.explanation
+  };
+}
+
+/**
+ * Classify a tool from its name alone.
+ * When a name has several action words the most restrictive wins ("query_delete" is a delete,
+ * "get_or_create_user" a write). Nouns and action nouns after the first action name the object
+ * ("list_workflow_runs" is a read), and admin nouns make a change an admin operation
+ * ("update_settings"). Names without an action word fall back to their nouns ("git_status").
+ * @param {string} toolName - Tool name to analyze
+ * @param {import('./operation-taxonomy.js').Taxonomy} taxonomy - Categories and keywords
+ * @returns {Classification}
+ */
+function classifyName(toolName, taxonomy) {
+  const words = tokenizeToolName(toolName);
+  const matches = words.map(word => classifyWord(word, taxonomy));
+
+  const actionIndex = matches.findIndex(match => match && !match.noun);
+  if (actionIndex === -1) {
+    const nouns = matches.filter(Boolean);
+    if (nouns.length > 0) {
+      const noun = nouns.reduce((a, b) => (moreRestrictive(a.operation, b.operation, taxonomy) === a.operation ? a : b));
+      return fromMatch(noun, {
+        basis: 'noun',
+        confidence: CONFIDENCE.noun,
+        explanation: `no action keyword; ${describeKeyword(noun)}`
+      }, taxonomy);
+    }
+    // Default to 'write' if no match (conservative)
+    return {
+      operation: 'write',
+      keyword: null,
+      word: null,
+      category: 'write',
+      categories: ['write'],
+      priority: taxonomy.order.indexOf('write') + 1,
+      basis: 'default',
+      confidence: CONFIDENCE.fallback,
+      fallback: true,
+      explanation: 'no operation keyword matched; defaulted to write'
+    };
+  }
+
+  // Every action word counts and the most restrictive wins, so a read verb cannot hide a later
+  // "delete" ("query_delete"); nouns and action nouns after the first action only name the object
+  const action = matches[actionIndex];
+  let decided = action;
+  let joined = false;
+  for (let i = actionIndex + 1; i < words.length; i++) {
+    const match = matches[i];
+    const connected = CONNECTOR_WORDS.has(words[i - 1]);
+    if (!match || match.noun || (ACTION_NOUNS.has(match.keyword) && !connected)) {
+      continue;
+    }
+    if (moreRestrictive(decided.operation, match.operation, taxonomy) !== decided.operation) {
+      decided = match;
+      joined = connected;
+    }
+  }
+
+  const adminNoun = matches.find(match => match?.noun && match.operation === 'admin');
+  if (decided.operation !== 'read' && adminNoun && moreRestrictive(decided.operation, 'admin', taxonomy) === 'admin') {
+    return fromMatch(adminNoun, {
+      basis: 'admin-noun',
+      confidence: CONFIDENCE.adminNoun,
+      explanation: `"${decided.word}" changes "${adminNoun.word}", an admin keyword`
+    }, taxonomy);
+  }
+  if (decided !== action && joined) {
+    return fromMatch(decided, {
+      basis: 'connector',
+      confidence: CONFIDENCE.connector,
+      explanation: `${describeKeyword(decided)}, joined to "${action.word}" (${action.operation}) and more restrictive`
+    }, taxonomy);
+  }
+  if (decided !== action) {
+    return fromMatch(decided, {
+      basis: 'action',
+      confidence: CONFIDENCE.ambiguous,
+      explanation: `${describeKeyword(decided)}, more restrictive than "${action.word}" (${action.operation})`
+    }, taxonomy);
+  }
+  return fromMatch(action, {
+    basis: 'action',
+    confidence: action.categories.length > 1 ? CONFIDENCE.ambiguous : CONFIDENCE.action,
+    explanation: describeKeyword(action)
+  }, taxonomy);
 }
 
 /**
- * Parse tool name into service and operation components.
+ * Parse tool name into service and operation components, with the classification that explains the operation.
  * @param {string} toolName - Full tool name
- * @returns {{service: string, operation: OperationType}} Parsed components
+ * @param {ClassifyOptions} [options] - Annotations from tools/list, the rules file's taxonomy, overrides and service aliases
+ * @returns {{service: string, operation: OperationType} & Classification} Parsed components
  */
-export function parseToolName(toolName) {
+export function parseToolName(toolName, options = {}) {
   return {
-    service: extractService(toolName),
-    operation: detectOperation(toolName)
+    service: extractService(toolName, { aliases: options.serviceAliases }),
+    ...classifyOperation(toolName, options)
   };
 }
@@ -1,5 +1,6 @@
 /**
  * Exhaustive keyword mappings for operation detection.
+ * Keywords are matched against whole words of a tool name, including plural and -ing/-ed forms.
  * Priority order: admin → delete → execute → write → read
  */
 
@@ -32,7 +33,7 @@ export const OPERATION_KEYWORDS = {
     'build', 'compile', 'generate', 'compute', 'calculate',
     'merge', 'rebase', 'commit', 'push', 'pull', 'sync',
     'approve', 'reject', 'accept', 'decline', 'confirm',
-    'schedule', 'queue', 'enqueue', 'dispatch', 'broadcast',
+    'schedule', 'queue', 'enqueue', 'dispatch', 'broadcast', 'rerun',
     'notify', 'alert', 'trigger', 'activate', 'deactivate',
     'lock', 'unlock', 'freeze', 'unfreeze', 'suspend', 'resume'
   ],
@@ -51,7 +52,7 @@ export const OPERATION_KEYWORDS = {
     'transfer', 'migrate', 'convert', 'transform',
     'fork', 'branch', 'tag', 'label', 'mark',
     'star', 'favorite', 'like', 'follow', 'watch',
-    'open', 'reopen', 'draft', 'issue', 'pr', 'pull_request'
+    'open', 'reopen', 'draft', 'issue', 'pr'
   ],
 
   // READ operations - lowest priority (safe/non-mutating)
@@ -70,6 +71,37 @@ export const OPERATION_KEYWORDS = {
   ]
 };
 
+/**
+ * Keywords that usually name what a tool acts on rather than the action ("list_issues", "get_pr",
+ * "list_settings"). They only decide the operation when the name has no action keyword;
+ * admin nouns also turn a change into an admin operation ("update_settings").
+ */
+export const NOUN_KEYWORDS = new Set([
+  'admin', 'superuser', 'root', 'privilege', 'permission', 'role', 'access', 'policy',
+  'config', 'setting', 'preference', 'migration', 'backup', 'deployment', 'management',
+  'issue', 'pr', 'branch', 'tag', 'label', 'record', 'comment', 'draft',
+  'info', 'detail', 'summary', 'status', 'stats', 'statistics', 'total', 'count',
+  'log', 'health', 'heartbeat'
+]);
+
+/**
+ * Action keywords that are also common nouns ("list_workflow_runs", "get_pull_request", "list_commits").
+ * After another action word they name what the tool acts on; at the start of a name, or after
+ * and/or/then, they are the action ("run_workflow", "get_and_run").
+ */
+export const ACTION_NOUNS = new Set([
+  'run', 'commit', 'pull', 'merge', 'build', 'release', 'post', 'alert', 'reply', 'process'
+]);
+
+/**
+ * Input property words that mark a destructive call even though they are no operation keyword
+ * ("force", "cascade"). Only consulted when a tool's name has no operation keyword.
+ */
+export const DESTRUCTIVE_PROPERTIES = new Set(['force', 'cascade']);
+
+/** Words that join two actions in one tool name ("get_or_create_user") */
+export const CONNECTOR_WORDS = new Set(['and', 'or', 'then']);
+
 // Total keyword count for reference
 export const TOTAL_KEYWORDS = Object.values(OPERATION_KEYWORDS)
   .reduce((sum, keywords) => sum + keywords.length, 0);
@@ -0,0 +1,88 @@
+/**
+ * Operation taxonomy: the categories tool calls are classified into, their keywords and priority.
+ * The five built-in categories come from operation-keywords.js. The "categories" setting of a rules
+ * file adds categories of its own (e.g. "financial", "secrets") or keywords to built-in ones.
+ */
+
+import { OPERATION_KEYWORDS, NOUN_KEYWORDS } from './operation-keywords.js';
+
+/** Priority of the built-in categories; a keyword listed under several categories counts as the highest */
+export const BUILTIN_PRIORITIES = { admin: 50, delete: 40, execute: 30, write: 20, read: 10 };
+
+/**
+ * @typedef {Object} CategoryDefinition
+ * @property {string[]} [keywords] - Action words ("pay", "refund")
+ * @property {string[]} [nouns] - Words that only decide when the name has no action word ("invoice")
+ * @property {number} [priority] - Required for new categories; higher wins and is more restrictive
+ * @property {'allow'|'deny'|'ask'} [permission] - Permission of generated rules (default: deny for new categories)
+ */
+
+/**
+ * @typedef {Object} Taxonomy
+ * @property {string[]} order - Category names, highest priority first
+ * @property {Object.<string, number>} rank - Priority of each category
+ * @property {Map<string, { operation: string, categories: string[], noun: boolean }>} index - Keyword → highest
+ *   category listing it, every category listing it (highest first), and whether it is a noun
+ * @property {Object.<string, CategoryDefinition>} categories - Definitions from the rules file
+ */
+
+// Built taxonomies by "categories" object, so a reloaded rules file gets a fresh one
+const taxonomies = new WeakMap();
+
+/**
+ * Build a taxonomy from the built-in categories and a rules file's "categories"
+ * @param {Object.<string, CategoryDefinition>} [categories] - Custom categories and extra keywords
+ * @returns {Taxonomy}
+ */
+export function buildTaxonomy(categories = {}) {
+  const rank = { ...BUILTIN_PRIORITIES };
+  for (const [name, definition] of Object.entries(categories)) {
+    if (!(name in BUILTIN_PRIORITIES)) {
+      rank[name] = definition.priority;
+    }
+  }
+  const order = Object.keys(rank).sort((a, b) => rank[b] - rank[a]);
+
+  const customActions = new Set(Object.values(categories).flatMap(definition => definition.keywords || []));
+  const nouns = new Set([
+    ...[...NOUN_KEYWORDS].filter(keyword => !customActions.has(keyword)),
+    ...Object.values(categories).flatMap(definition => definition.nouns || [])
+  ]);
+
+  const index = new Map();
+  for (const category of order) {
+    const definition = categories[category] || {};
+    for (const keyword of [...(OPERATION_KEYWORDS[category] || []), ...(definition.keywords || []), ...(definition.nouns || [])]) {
+      const entry = index.get(keyword);
+      if (!entry) {
+        index.set(keyword, { operation: category, categories: [category], noun: nouns.has(keyword) });
+      } else if (!entry.categories.includes(category)) {
+        entry.categories.push(category);
+      }
+    }
+  }
+
+  return { order, rank, index, categories };
+}
+
+/** Taxonomy of the built-in categories */
+export const DEFAULT_TAXONOMY = buildTaxonomy();
+
+/**
+ * Get the taxonomy a rules file defines
+ * @param {Object} [rules] - Rules file contents
+ * @returns {Taxonomy}
+ */
+export function resolveTaxonomy(rules) {
+  const categories = rules?.categories;
+  if (!categories || typeof categories !== 'object') {
+    return DEFAULT_TAXONOMY;
+  }
+
+  let taxonomy = taxonomies.get(categories);
+  if (!taxonomy) {
+    taxonomy = buildTaxonomy(categories);
+    taxonomies.set(categories, taxonomy);
+  }
+  return taxonomy;
+}
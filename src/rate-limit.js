@@ -0,0 +1,229 @@
+/**
+ * Rate limits and quotas for governed calls.
+ * Counters live in one state file under ~/.mcp-gov, so limits hold across proxy restarts and
+ * are shared by every proxy process for the same service.
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { dirname, join } from 'node:path';
+import { homedir } from 'node:os';
+import { withFileLock } from './file-lock.js';
+import { getRequestSpecificity, validateToolPatterns, SPECIFICITY } from './rule-matcher.js';
+import { getLocalTime } from './schedule.js';
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {string} service - Service name, or "*" for every service (each service is counted separately)
+ * @property {string[]} [operations] - Only count these operations
+ * @property {string[]} [tools] - Only count these tools (names, globs, regexes)
+ * @property {string[]} [resources] - Only count these resources (URIs, globs, regexes)
+ * @property {string[]} [prompts] - Only count these prompts (names, globs, regexes)
+ * @property {number} max - Calls allowed per period
+ * @property {string} per - Period: a duration ("30s", "10m", "1h", "7d") or "day" (calendar day)
+ * @property {string} [timezone] - Time zone in which a "day" quota resets (default: local)
+ * @property {string} [name] - Label used in denial messages
+ */
+
+/** Default location of the counter state file */
+export const DEFAULT_LIMITS_STATE_PATH = join(homedir(), '.mcp-gov', 'rate-limits.json');
+
+const DURATION_PATTERN = /^(\d+)(s|m|h|d)$/;
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const SELECTOR_FIELDS = ['tools', 'resources', 'prompts'];
+const LIMIT_KEYS = ['service', 'operations', ...SELECTOR_FIELDS, 'max', 'per', 'timezone', 'name'];
+
+/**
+ * Get the period a call falls into
+ * @param {RateLimit} limit - Limit
+ * @param {number} now - Call time (ms)
+ * @returns {{ id: string, resetsAt: number }} Period id and when the next period starts (ms)
+ */
+function getPeriod(limit, now) {
+  if (limit.per === 'day') {
+    const local = getLocalTime(new Date(now), limit.timezone);
+    const secondsToday = local.minutes * 60 + new Date(now).getUTCSeconds();
+    let resetsAt = now - secondsToday * 1000 - (now % 1000) + DURATION_UNITS.d;
+
+    // Days around a DST change are 23 or 25 hours long
+    const minutes = getLocalTime(new Date(resetsAt), limit.timezone).minutes;
+    if (minutes !== 0) {
+      resetsAt += (minutes < 720 ? -minutes : 1440 - minutes) * DURATION_UNITS.m;
+    }
+    return { id: local.date, resetsAt };
+  }
+
+  const [, count, unit] = DURATION_PATTERN.exec(limit.per);
+  const length = Number(count) * DURATION_UNITS[unit];
+  const start = Math.floor(now / length) * length;
+  return { id: String(start), resetsAt: start + length };
+}
+
+/**
+ * Check whether a limit counts a call
+ * @param {RateLimit} limit - Limit
+ * @param {{ kind?: string, service: string, operation: string, toolName?: string, resource?: string, prompt?: string }} call - Governed call
+ * @returns {boolean}
+ */
+function limitApplies(limit, call) {
+  if (limit.service !== call.service && limit.service !== '*') {
+    return false;
+  }
+
+  const kind = call.kind || 'tool';
+  if (!SELECTOR_FIELDS.some(field => limit[field])) {
+    return !limit.operations || limit.operations.includes(call.operation);
+  }
+
+  const name = kind === 'resource' ? call.resource : kind === 'prompt' ? call.prompt : call.toolName;
+  return getRequestSpecificity(limit, { kind, name, operation: call.operation }) !== SPECIFICITY.NONE;
+}
+
+/**
+ * Stable counter key for a limit and service. Editing "max" keeps the counter;
+ * changing what the limit selects starts a new one.
+ * @param {RateLimit} limit - Limit
+ * @param {string} service - Service of the call
+ * @returns {string}
+ */
+function counterKey(limit, service) {
+  const selector = [limit.service, limit.operations, ...SELECTOR_FIELDS.map(field => limit[field]), limit.per, limit.timezone];
+  return `${service}:${createHash('sha256').update(JSON.stringify(selector)).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Describe a limit for denial messages, e.g. "20 calls per 1h for github_create_issue"
+ * @param {RateLimit} limit - Limit
+ * @returns {string}
+ */
+export function describeLimit(limit) {
+  const service = limit.service === '*' ? 'each service' : limit.service;
+  const label = limit.name || SELECTOR_FIELDS.flatMap(field => limit[field] || []).join(', ') ||
+    (limit.operations ? `${service} ${limit.operations.join('/')} operations` : service);
+  return `${limit.max} calls per ${limit.per} for ${label}`;
+}
+
+/**
+ * Read the counter state file
+ * @param {string} statePath - State file path
+ * @returns {{ counters: Object.<string, { period: string, count: number, resetsAt: number }> }}
+ */
+function readState(statePath) {
+  try {
+    const state = JSON.parse(readFileSync(statePath, 'utf8'));
+    return state && typeof state.counters === 'object' ? state : { counters: {} };
+  } catch (e) {
+    return { counters: {} };
+  }
+}
+
+/**
+ * Count a call against every limit that applies to it. The call is only counted if no limit
+ * is exhausted; the check and the increment happen under one lock, so concurrent proxies
+ * cannot overshoot a limit.
+ * @param {RateLimit[]|undefined} limits - Limits from the rules file
+ * @param {object} call - Governed call (service, operation, kind and name)
+ * @param {{ statePath?: string, now?: number }} [options]
+ * @returns {{ limit: RateLimit, resetsAt: string }|null} The exhausted limit and when it resets, or null if the call may proceed
+ */
+export function consumeRateLimits(limits, call, { statePath = DEFAULT_LIMITS_STATE_PATH, now = Date.now() } = {}) {
+  const applicable = (limits || []).filter(limit => limitApplies(limit, call));
+  if (applicable.length === 0) {
+    return null;
+  }
+
+  const dir = dirname(statePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  return withFileLock(statePath, () => {
+    const state = readState(statePath);
+
+    // Drop counters of periods that are over
+    for (const [key, counter] of Object.entries(state.counters)) {
+      if (counter.resetsAt <= now) delete state.counters[key];
+    }
+
+    const periods = applicable.map(limit => ({ limit, key: counterKey(limit, call.service), ...getPeriod(limit, now) }));
+    for (const { limit, key, id, resetsAt } of periods) {
+      const counter = state.counters[key];
+      if (counter?.period === id && counter.count >= limit.max) {
+        return { limit, resetsAt: new Date(resetsAt).toISOString() };
+      }
+    }
+
+    for (const { key, id, resetsAt } of periods) {
+      const counter = state.counters[key];
+      state.counters[key] = counter?.period === id
+        ? { ...counter, count: counter.count + 1 }
+        : { period: id, count: 1, resetsAt };
+    }
+
+    const tmpPath = `${statePath}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(state, null, 2) + '\n');
+    renameSync(tmpPath, statePath);
+    return null;
+  });
+}
+
+/**
+ * Validate the "limits" list of a rules file
+ * @param {*} limits - Value of rules.limits (undefined means no limits)
+ * @throws {Error} If a limit is malformed
+ */
+export function validateRateLimits(limits) {
+  if (limits === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(limits)) {
+    throw new Error('Rules file: "limits" must be an array');
+  }
+
+  limits.forEach((limit, index) => {
+    const where = `Limit at index ${index}`;
+    if (!limit || typeof limit !== 'object' || Array.isArray(limit)) {
+      throw new Error(`${where} must be an object`);
+    }
+
+    const unknown = Object.keys(limit).filter(key => !LIMIT_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: unknown field "${unknown[0]}"`);
+    }
+    if (typeof limit.service !== 'string' || !limit.service) {
+      throw new Error(`${where}: "service" field is required`);
+    }
+    if (!Number.isInteger(limit.max) || limit.max < 1) {
+      throw new Error(`${where}: "max" must be a positive whole number of calls`);
+    }
+    const duration = typeof limit.per === 'string' ? DURATION_PATTERN.exec(limit.per) : null;
+    if (limit.per !== 'day' && !(duration && Number(duration[1]) > 0)) {
+      throw new Error(`${where}: "per" must be "day" or a duration like "30s", "10m", "1h" or "7d"`);
+    }
+    if (limit.timezone !== undefined) {
+      if (limit.per !== 'day') {
+        throw new Error(`${where}: "timezone" only applies to "per": "day"`);
+      }
+      try {
+        getLocalTime(new Date(), limit.timezone);
+      } catch (e) {
+        throw new Error(`${where}: unknown timezone "${limit.timezone}"`);
+      }
+    }
+    if (limit.name !== undefined && (typeof limit.name !== 'string' || !limit.name)) {
+      throw new Error(`${where}: "name" must be a non-empty string`);
+    }
+    if (limit.operations !== undefined && (!Array.isArray(limit.operations) || limit.operations.length === 0)) {
+      throw new Error(`${where}: "operations" must be a non-empty array`);
+    }
+
+    try {
+      for (const field of SELECTOR_FIELDS) {
+        validateToolPatterns(limit[field], field);
+      }
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  });
+}
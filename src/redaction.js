@@ -0,0 +1,154 @@
+/**
+ * Redaction of sensitive data before it is written to stderr or disk.
+ * Values are redacted by argument name (built-in sensitive names and per-service field lists)
+ * and by content (built-in detectors for common secret formats inside any string).
+ */
+
+/** Placeholder written instead of a value redacted by name */
+export const REDACTED = '[REDACTED]';
+
+// Words of argument names whose values are never logged. Whole words only, so "max_tokens"
+// and "bypass" are kept while "refresh_token", "apiKey" and "X-Api-Key" are redacted.
+const SENSITIVE_KEY_WORDS = new Set([
+  'pass', 'password', 'passwords', 'passwd', 'passphrase', 'secret', 'secrets', 'token', 'authorization',
+  'credential', 'credentials', 'cookie', 'cookies', 'apikey', 'privatekey', 'accesstoken', 'refreshtoken',
+  'authtoken', 'apitoken', 'clientsecret'
+]);
+const SENSITIVE_KEY_PAIRS = [['api', 'key'], ['private', 'key']];
+
+/**
+ * @param {string} key - Argument name
+ * @returns {boolean} True if a word of the name (split at "_", "-", "." and camelCase) marks a secret
+ */
+function isSensitiveKey(key) {
+  const words = key.split(/[^A-Za-z0-9]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean).map(word => word.toLowerCase());
+  return words.some((word, i) => SENSITIVE_KEY_WORDS.has(word) ||
+    SENSITIVE_KEY_PAIRS.some(([first, second]) => word === first && words[i + 1] === second));
+}
+
+/**
+ * Built-in detectors for secrets inside string values. A match is replaced with "[REDACTED:<name>]";
+ * for patterns with a "value" group only that group is replaced, so surrounding context is kept.
+ * @type {{ name: string, pattern: RegExp }[]}
+ */
+export const SECRET_DETECTORS = [
+  {
+    name: 'private_key',
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY-----|$)/g
+  },
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g
+  },
+  {
+    // GitHub, OpenAI/Anthropic, Slack, Stripe, Google and AWS key formats
+    name: 'api_key',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,}|sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|xox[abposr]-[A-Za-z0-9-]{10,}|(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{16,}|AIza[A-Za-z0-9_-]{35}|(?:AKIA|ASIA)[A-Z0-9]{16})\b/g
+  },
+  {
+    name: 'bearer_token',
+    pattern: /\b(?:Bearer|Basic|token)\s+(?<value>[A-Za-z0-9._~+/=-]{16,})/gi
+  },
+  {
+    // password=..., "api_key": "...", secret: ... inside commands, URLs and config text
+    name: 'credential',
+    pattern: /\b(?:pass(?:word|wd|phrase)?|secret|token|api[-_]?key|access[-_]?key|client[-_]?secret)["']?\s*[=:]\s*["']?(?<value>[^\s"'&,;]{4,})/gi
+  },
+  {
+    name: 'url_credentials',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:(?<value>[^\s/@]+)@/gi
+  },
+  {
+    name: 'email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  }
+];
+
+/**
+ * Replace secrets detected inside a string
+ * @param {string} text - Text that may contain secrets
+ * @returns {string} Text with each detected secret replaced by "[REDACTED:<detector>]"
+ */
+export function redactText(text) {
+  if (typeof text !== 'string' || text === '') {
+    return text;
+  }
+
+  let result = text;
+  for (const { name, pattern } of SECRET_DETECTORS) {
+    const placeholder = `[REDACTED:${name}]`;
+    result = result.replace(pattern, (...match) => {
+      const groups = match.at(-1);
+      const value = groups && typeof groups === 'object' ? groups.value : undefined;
+      return value ? match[0].replace(value, placeholder) : placeholder;
+    });
+  }
+  return result;
+}
+
+/**
+ * Check whether a field path is on a redaction list.
+ * Plain names match the field at any depth (case-insensitive); dotted entries match the full path.
+ * @param {string[]} fields - Redaction list
+ * @param {string[]} path - Path of the field from the arguments root
+ * @returns {boolean}
+ */
+function isListedField(fields, path) {
+  const key = path.at(-1).toLowerCase();
+  const fullPath = path.join('.');
+  return fields.some(field => field.includes('.') ? field === fullPath : field.toLowerCase() === key);
+}
+
+/**
+ * Redact tool arguments recursively: sensitive names and listed fields are replaced with
+ * "[REDACTED]", and secrets inside remaining strings are replaced by detector
+ * @param {*} args - Tool arguments
+ * @param {string[]} [fields] - Extra field names or dotted paths to redact
+ * @param {string[]} [path] - Path of args from the arguments root (internal)
+ * @returns {*} Copy of args with sensitive values redacted
+ */
+export function redactArguments(args, fields = [], path = []) {
+  if (Array.isArray(args)) {
+    return args.map(item => redactArguments(item, fields, path));
+  }
+
+  if (args && typeof args === 'object') {
+    const redacted = {};
+    for (const [key, value] of Object.entries(args)) {
+      const fieldPath = [...path, key];
+      redacted[key] = isSensitiveKey(key) || isListedField(fields, fieldPath)
+        ? REDACTED
+        : redactArguments(value, fields, fieldPath);
+    }
+    return redacted;
+  }
+
+  return redactText(args);
+}
+
+/**
+ * Get the redaction list for a service from a rules file: top-level "redact",
+ * then "services['*'].redact" and "services[service].redact"
+ * @param {Object} rules - Parsed rules file
+ * @param {string} service - Service name
+ * @returns {string[]} Field names and dotted paths
+ */
+export function getRedactionFields(rules, service) {
+  return [
+    ...(rules?.redact || []),
+    ...(rules?.services?.['*']?.redact || []),
+    ...(service !== '*' ? rules?.services?.[service]?.redact || [] : [])
+  ];
+}
+
+/**
+ * Validate a "redact" list from a rules file
+ * @param {*} value - redact value (undefined means not set)
+ * @param {string} location - Where the value was found, for error messages
+ * @throws {Error} If the value is not an array of field names
+ */
+export function validateRedactionFields(value, location) {
+  if (value !== undefined && (!Array.isArray(value) || value.some(field => typeof field !== 'string' || !field))) {
+    throw new Error(`${location}: "redact" must be an array of argument names or dotted paths`);
+  }
+}
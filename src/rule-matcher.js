@@ -0,0 +1,483 @@
+/**
+ * Tool and argument matching for governance rules.
+ * Evaluates rule tool patterns and conditions against a tools/call request.
+ */
+
+import { homedir } from 'node:os';
+import { resolve, posix } from 'node:path';
+import { validateSchedule } from './schedule.js';
+
+/**
+ * @typedef {Object} RuleCondition
+ * @property {string} argument - Argument name, dotted for nested fields (e.g. "options.recursive")
+ * @property {string|string[]} [glob] - Glob pattern(s); "~", "./" and "/" prefixes are matched as paths
+ * @property {string} [regex] - Regular expression source
+ * @property {string} [flags] - Flags for regex (e.g. "i")
+ * @property {*} [equals] - Exact value
+ * @property {number} [min] - Inclusive numeric lower bound
+ * @property {number} [max] - Inclusive numeric upper bound
+ * @property {boolean} [not] - Negate the test
+ * @property {'all'|'any'} [match] - For array arguments, whether every element or one must satisfy the test
+ *   (default: "all" in allow rules, "any" in deny and ask rules)
+ */
+
+const MATCHER_KEYS = ['glob', 'regex', 'equals', 'range'];
+
+const QUANTIFIERS = ['all', 'any'];
+
+/**
+ * Rule specificity, highest wins: exact tool name → tool pattern → operation only
+ */
+export const SPECIFICITY = {
+  TOOL_NAME: 3,
+  TOOL_PATTERN: 2,
+  OPERATION: 1,
+  NONE: 0
+};
+
+/**
+ * Convert a glob pattern to a RegExp.
+ * Supports "**" (any characters), "*" (any characters except "/"), "?" and "{a,b}".
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero directories
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = pattern.slice(i + 1, end).split(',').map(escapeRegExp);
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Escape regex special characters in a literal string
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+}
+
+/**
+ * Check if a glob pattern should be matched against filesystem paths
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function isPathPattern(pattern) {
+  return pattern.startsWith('/') || pattern.startsWith('~') || pattern.startsWith('./') || pattern.startsWith('../');
+}
+
+/**
+ * Expand "~" and resolve against the working directory so "../" cannot escape a pattern
+ * @param {string} path - Path from a rule or an argument
+ * @returns {string} Absolute, normalized path
+ */
+function normalizePath(path) {
+  const expanded = path === '~' || path.startsWith('~/') ? homedir() + path.slice(1) : path;
+  return resolve(process.cwd(), expanded);
+}
+
+/**
+ * Match a string value against a glob pattern
+ * @param {string} pattern - Glob pattern
+ * @param {string} value - Value to test
+ * @returns {boolean}
+ */
+export function matchGlob(pattern, value) {
+  // Resolve the literal prefix only, keep wildcards intact
+  const firstWildcard = pattern.search(/[*?{]/);
+  const literal = firstWildcard === -1 ? pattern : pattern.slice(0, firstWildcard);
+  const rest = firstWildcard === -1 ? '' : pattern.slice(firstWildcard);
+
+  if (isPathPattern(pattern)) {
+    let base = normalizePath(literal);
+    if (literal.endsWith('/') && !base.endsWith('/')) {
+      base += '/';
+    }
+    return globToRegExp(base + rest).test(normalizePath(value));
+  }
+
+  // Other patterns with a "/" ("src/**", "**/.env") are relative paths: resolve "." and ".."
+  // in both, and a value that climbs above where it starts ("src/../../etc") matches nothing.
+  // URLs are not paths, "https://a/../b" keeps its host.
+  if (pattern.includes('/') && !pattern.includes('://') && !value.includes('://')) {
+    const path = posix.normalize(value);
+    if (path === '..' || path.startsWith('../')) {
+      return false;
+    }
+    return globToRegExp((literal ? posix.normalize(literal) : '') + rest).test(path);
+  }
+
+  return globToRegExp(pattern).test(value);
+}
+
+/**
+ * Read a (possibly nested) argument value using a dotted path
+ * @param {Object} args - Tool call arguments
+ * @param {string} argumentPath - Dotted argument path
+ * @returns {*} Argument value or undefined
+ */
+function getArgument(args, argumentPath) {
+  let current = args;
+  for (const key of argumentPath.split('.')) {
+    if (current === null || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * Test a single value against a condition's matcher (without negation)
+ * @param {RuleCondition} condition - Rule condition
+ * @param {*} value - Argument value
+ * @returns {boolean}
+ */
+function testValue(condition, value) {
+  if (condition.glob !== undefined) {
+    if (typeof value !== 'string') return false;
+    const patterns = Array.isArray(condition.glob) ? condition.glob : [condition.glob];
+    return patterns.some(pattern => matchGlob(pattern, value));
+  }
+
+  if (condition.regex !== undefined) {
+    if (typeof value !== 'string') return false;
+    return new RegExp(condition.regex, condition.flags || '').test(value);
+  }
+
+  if (condition.equals !== undefined) {
+    return JSON.stringify(value) === JSON.stringify(condition.equals);
+  }
+
+  // Numeric range (min and/or max)
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) return false;
+  if (condition.min !== undefined && number < condition.min) return false;
+  if (condition.max !== undefined && number > condition.max) return false;
+  return true;
+}
+
+/**
+ * Check if a condition holds for the given arguments.
+ * For array arguments the condition's "match" decides whether every element or one must satisfy it.
+ * Without it, allow rules need every element, so one allowed path cannot carry others along,
+ * and deny and ask rules need one.
+ * @param {RuleCondition} condition - Rule condition
+ * @param {Object} args - Tool call arguments
+ * @param {'allow'|'deny'|'ask'} [permission] - Permission of the rule the condition belongs to
+ * @returns {boolean}
+ */
+export function matchesCondition(condition, args, permission = 'deny') {
+  const value = getArgument(args, condition.argument);
+  const values = Array.isArray(value) && condition.equals === undefined ? value : [value];
+  const quantifier = condition.match || (permission === 'allow' ? 'all' : 'any');
+
+  const holds = v => {
+    const result = testValue(condition, v);
+    return condition.not ? !result : result;
+  };
+  return quantifier === 'all' ? values.length > 0 && values.every(holds) : values.some(holds);
+}
+
+/**
+ * Check if all conditions of a rule hold for the given arguments
+ * @param {RuleCondition[]|undefined} conditions - Rule conditions (none means always matches)
+ * @param {Object} args - Tool call arguments
+ * @param {'allow'|'deny'|'ask'} [permission] - Permission of the rule, for array arguments (see matchesCondition)
+ * @returns {boolean}
+ */
+export function matchesConditions(conditions, args, permission) {
+  if (!conditions || conditions.length === 0) {
+    return true;
+  }
+  return conditions.every(condition => matchesCondition(condition, args || {}, permission));
+}
+
+/**
+ * Validate the conditions of a rule
+ * @param {*} conditions - Value of rule.conditions
+ * @throws {Error} If conditions are malformed
+ */
+export function validateConditions(conditions) {
+  if (conditions === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(conditions)) {
+    throw new Error('"conditions" must be an array');
+  }
+
+  conditions.forEach((condition, index) => {
+    if (!condition || typeof condition !== 'object') {
+      throw new Error(`condition ${index} must be an object`);
+    }
+
+    if (typeof condition.argument !== 'string' || !condition.argument) {
+      throw new Error(`condition ${index}: "argument" field is required`);
+    }
+
+    const matchers = MATCHER_KEYS.filter(key => key === 'range'
+      ? condition.min !== undefined || condition.max !== undefined
+      : condition[key] !== undefined);
+
+    if (matchers.length !== 1) {
+      throw new Error(`condition ${index}: exactly one of "glob", "regex", "equals" or "min"/"max" is required`);
+    }
+
+    if (condition.glob !== undefined) {
+      const patterns = Array.isArray(condition.glob) ? condition.glob : [condition.glob];
+      if (patterns.length === 0 || patterns.some(p => typeof p !== 'string')) {
+        throw new Error(`condition ${index}: "glob" must be a string or an array of strings`);
+      }
+    }
+
+    if (condition.regex !== undefined) {
+      try {
+        new RegExp(condition.regex, condition.flags || '');
+      } catch (error) {
+        throw new Error(`condition ${index}: invalid regex: ${error.message}`);
+      }
+    }
+
+    if (condition.match !== undefined && !QUANTIFIERS.includes(condition.match)) {
+      throw new Error(`condition ${index}: "match" must be one of: ${QUANTIFIERS.join(', ')}`);
+    }
+
+    for (const bound of ['min', 'max']) {
+      if (condition[bound] !== undefined && typeof condition[bound] !== 'number') {
+        throw new Error(`condition ${index}: "${bound}" must be a number`);
+      }
+    }
+  });
+}
+
+/**
+ * Parse a "/source/flags" tool pattern into a RegExp
+ * @param {string} pattern - Tool pattern
+ * @returns {RegExp|null} RegExp, or null if the pattern is not in regex notation
+ */
+function parseRegexPattern(pattern) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return match ? new RegExp(match[1], match[2]) : null;
+}
+
+/**
+ * Get how specifically a tool pattern matches a tool name
+ * @param {string} pattern - Exact name, glob ("github_*_branch") or regex ("/^github_/i")
+ * @param {string} toolName - Tool name
+ * @returns {number} SPECIFICITY.TOOL_NAME, SPECIFICITY.TOOL_PATTERN or SPECIFICITY.NONE
+ */
+export function matchToolPattern(pattern, toolName) {
+  if (pattern === toolName) {
+    return SPECIFICITY.TOOL_NAME;
+  }
+
+  const regex = parseRegexPattern(pattern);
+  if (regex) {
+    return regex.test(toolName) ? SPECIFICITY.TOOL_PATTERN : SPECIFICITY.NONE;
+  }
+
+  if (/[*?{]/.test(pattern) && globToRegExp(pattern).test(toolName)) {
+    return SPECIFICITY.TOOL_PATTERN;
+  }
+
+  return SPECIFICITY.NONE;
+}
+
+/**
+ * Get how specifically a list of patterns matches a name or URI
+ * @param {string[]|undefined} patterns - Exact values, globs or regexes (undefined never matches)
+ * @param {string} value - Tool name, prompt name or resource URI
+ * @returns {number} Highest specificity of any pattern
+ */
+export function matchPatterns(patterns, value) {
+  if (!patterns) {
+    return SPECIFICITY.NONE;
+  }
+  return Math.max(SPECIFICITY.NONE, ...patterns.map(pattern => matchToolPattern(pattern, value)));
+}
+
+/**
+ * Get the specificity with which a rule selects a tool call.
+ * A rule selects a call when every selector it declares (tools, operations) matches.
+ * Rules that list resources or prompts but no tools never select tool calls.
+ * @param {{tools?: string[], operations?: string[], resources?: string[], prompts?: string[]}} rule - Rule object
+ * @param {string} toolName - Tool name
+ * @param {string} operation - Detected operation type
+ * @returns {number} Specificity, or SPECIFICITY.NONE if the rule does not apply
+ */
+export function getRuleSpecificity(rule, toolName, operation) {
+  if (rule.operations && !rule.operations.includes(operation)) {
+    return SPECIFICITY.NONE;
+  }
+
+  if (!rule.tools && (rule.resources || rule.prompts)) {
+    return SPECIFICITY.NONE;
+  }
+
+  if (rule.tools) {
+    return matchPatterns(rule.tools, toolName);
+  }
+
+  return rule.operations ? SPECIFICITY.OPERATION : SPECIFICITY.NONE;
+}
+
+/**
+ * Percent-decode a URI part, repeatedly so "%252e" (which a server may decode twice) is "."
+ * @param {string} text
+ * @returns {string}
+ */
+function percentDecode(text) {
+  let decoded = text;
+  for (let round = 0; round < 4 && /%[0-9a-f]{2}/i.test(decoded); round++) {
+    decoded = decoded.replace(/(?:%[0-9a-f]{2})+/gi, encoded => {
+      try {
+        return decodeURIComponent(encoded);
+      } catch {
+        return encoded;
+      }
+    });
+  }
+  return decoded;
+}
+
+/**
+ * Normalize a resource URI, or a glob over resource URIs, before matching: percent-decode it,
+ * read backslashes as slashes, and resolve "." and ".." and repeated slashes in its path, so
+ * "file:///home/u/x/../.ssh/id_rsa" and "file:///home/u/%2e%2e/u/.ssh/id_rsa" are both
+ * "file:///home/u/.ssh/id_rsa".
+ * @param {string} uri - Resource URI or URI pattern
+ * @param {boolean} [isPattern] - Patterns have no query: "?" is a wildcard
+ * @returns {string|null} Normalized URI, or null if ".." climbs above the root of the path
+ */
+export function normalizeUri(uri, isPattern = false) {
+  const [, scheme = '', authority = '', rest] = /^([a-z][a-z0-9+.-]*:)?(\/\/[^/]*)?(.*)$/is.exec(uri);
+  const end = isPattern ? rest.length : rest.search(/[?#]|$/);
+  const path = percentDecode(rest.slice(0, end)).replace(/\\/g, '/');
+
+  const absolute = path.startsWith('/');
+  const segments = [];
+  const parts = path.split('/').filter(Boolean);
+  for (const part of parts) {
+    if (part === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else if (part !== '.') {
+      segments.push(part);
+    }
+  }
+  // "/a/b/.." and "/a/b/" are the directory "/a/"
+  const directory = segments.length > 0 && (path.endsWith('/') || ['.', '..'].includes(parts[parts.length - 1]));
+  const normalized = (absolute ? '/' : '') + segments.join('/') + (directory ? '/' : '');
+  return scheme + percentDecode(authority) + normalized + percentDecode(rest.slice(end));
+}
+
+/**
+ * Get the specificity with which a rule selects a request of any kind.
+ * Resource requests are selected by "resources" URI patterns and prompt requests by "prompts"
+ * name patterns; "operations", when present, must match too.
+ * @param {Object} rule - Rule object
+ * @param {{ kind: 'tool'|'resource'|'prompt', name: string, operation: string }} request - Request being checked
+ * @returns {number} Specificity, or SPECIFICITY.NONE if the rule does not apply
+ */
+export function getRequestSpecificity(rule, { kind, name, operation }) {
+  if (kind === 'tool') {
+    return getRuleSpecificity(rule, name, operation);
+  }
+
+  if (rule.operations && !rule.operations.includes(operation)) {
+    return SPECIFICITY.NONE;
+  }
+
+  if (kind === 'resource') {
+    // URIs are compared normalized; one that climbs above its root matches no rule
+    const uri = normalizeUri(name);
+    if (uri === null || !rule.resources) {
+      return SPECIFICITY.NONE;
+    }
+    return matchPatterns(rule.resources.map(pattern => (parseRegexPattern(pattern) ? pattern : normalizeUri(pattern, true) ?? pattern)), uri);
+  }
+
+  return matchPatterns(rule.prompts, name);
+}
+
+// What each pattern field lists, for error messages
+const PATTERN_FIELDS = {
+  tools: 'tool names or patterns',
+  resources: 'resource URIs or patterns',
+  prompts: 'prompt names or patterns'
+};
+
+/**
+ * Validate the tool, resource or prompt patterns of a rule
+ * @param {*} patterns - Value of rule.tools, rule.resources or rule.prompts
+ * @param {'tools'|'resources'|'prompts'} [field] - Field being validated
+ * @throws {Error} If patterns are malformed
+ */
+export function validateToolPatterns(patterns, field = 'tools') {
+  if (patterns === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(patterns) || patterns.length === 0 || patterns.some(t => typeof t !== 'string' || !t)) {
+    throw new Error(`"${field}" must be a non-empty array of ${PATTERN_FIELDS[field]}`);
+  }
+
+  for (const pattern of patterns) {
+    try {
+      parseRegexPattern(pattern);
+    } catch (error) {
+      throw new Error(`invalid ${field === 'tools' ? 'tool' : field.slice(0, -1)} pattern "${pattern}": ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Validate the matching fields of a rule (operations, tools, resources, prompts, conditions, schedule)
+ * @param {Object} rule - Rule object
+ * @throws {Error} If the rule cannot select any request or a matcher is malformed
+ */
+export function validateRuleMatchers(rule) {
+  if (rule.operations === undefined && rule.tools === undefined &&
+      rule.resources === undefined && rule.prompts === undefined) {
+    throw new Error('"operations" or "tools" field is required (or "resources" / "prompts" for resource and prompt rules)');
+  }
+
+  if (rule.operations !== undefined && !Array.isArray(rule.operations)) {
+    throw new Error('"operations" field must be an array');
+  }
+
+  validateToolPatterns(rule.tools);
+  validateToolPatterns(rule.resources, 'resources');
+  validateToolPatterns(rule.prompts, 'prompts');
+  validateConditions(rule.conditions);
+  validateSchedule(rule.schedule);
+}
@@ -0,0 +1,356 @@
+/**
+ * Validation for governance rules files.
+ * Shared by mcp-gov-wrap (before wrapping) and mcp-gov-proxy (on load).
+ */
+
+import { validateRuleMatchers } from './rule-matcher.js';
+import { validateRedactionFields } from './redaction.js';
+import { validateRateLimits } from './rate-limit.js';
+import { BUILTIN_PRIORITIES } from './operation-taxonomy.js';
+
+/**
+ * @typedef {'allow'|'deny'|'ask'} Permission
+ */
+
+/** Valid values for deniedTools (how denied tools appear in tools/list) */
+export const DENIED_TOOLS_MODES = ['show', 'hide', 'mark'];
+
+/** Valid values for "mode": enforce decisions, or only record what enforcement would do */
+export const ENFORCEMENT_MODES = ['enforce', 'monitor'];
+
+/** Valid values for "toolChanges": what the proxy does with tools whose definition differs from the pinned one */
+export const TOOL_CHANGE_POLICIES = ['warn', 'hide', 'deny'];
+
+/** Valid values for "annotationTrust": how far MCP tool annotations may change the detected operation */
+export const ANNOTATION_TRUST_LEVELS = ['ignore', 'escalate', 'trust'];
+
+/** Valid values for "argumentTrust": whether call arguments may lower the operation of multiplexed tools */
+export const ARGUMENT_TRUST_LEVELS = ['escalate', 'trust'];
+
+/** Valid values for "lowConfidence.action": only flag low-confidence classifications, or also require approval */
+export const LOW_CONFIDENCE_ACTIONS = ['flag', 'ask'];
+
+/** Valid values for rule.permission and defaultPermission ("ask" requires human approval) */
+export const PERMISSIONS = ['allow', 'deny', 'ask'];
+
+// "allow", "deny" or "ask" - for error messages
+const PERMISSION_LIST = PERMISSIONS.slice(0, -1).map(p => `"${p}"`).join(', ') + ` or "${PERMISSIONS.at(-1)}"`;
+
+/**
+ * Validate a defaultPermission value
+ * @param {*} value - defaultPermission value (undefined means not set)
+ * @param {string} location - Where the value was found, for error messages
+ * @throws {Error} If the value is not a valid permission
+ */
+function validateDefaultPermission(value, location) {
+  if (value !== undefined && !PERMISSIONS.includes(value)) {
+    throw new Error(`${location}: "defaultPermission" must be ${PERMISSION_LIST}, got "${value}"`);
+  }
+}
+
+/**
+ * Validate a deniedTools value
+ * @param {*} value - deniedTools value (undefined means not set)
+ * @param {string} location - Where the value was found, for error messages
+ * @throws {Error} If the value is not a valid mode
+ */
+function validateDeniedToolsMode(value, location) {
+  if (value !== undefined && !DENIED_TOOLS_MODES.includes(value)) {
+    throw new Error(`${location}: "deniedTools" must be one of ${DENIED_TOOLS_MODES.join(', ')}, got "${value}"`);
+  }
+}
+
+/**
+ * Validate an enforcement mode
+ * @param {*} value - mode value (undefined means enforce)
+ * @param {string} location - Where the value was found, for error messages
+ * @throws {Error} If the value is not a valid mode
+ */
+function validateEnforcementMode(value, location) {
+  if (value !== undefined && !ENFORCEMENT_MODES.includes(value)) {
+    throw new Error(`${location}: "mode" must be one of ${ENFORCEMENT_MODES.join(', ')}, got "${value}"`);
+  }
+}
+
+// Numeric fields of the "auditLog" setting
+const AUDIT_LOG_LIMITS = ['maxSizeMB', 'maxAgeDays', 'retentionDays', 'maxFiles'];
+
+/**
+ * Validate the "auditLog" rotation and retention setting
+ * @param {*} value - auditLog value (undefined means defaults)
+ * @throws {Error} If a limit is not a positive number
+ */
+function validateAuditLogSettings(value) {
+  if (value === undefined) {
+    return;
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Rules file: "auditLog" must be an object');
+  }
+
+  for (const key of AUDIT_LOG_LIMITS) {
+    // null turns a limit off
+    if (value[key] !== undefined && value[key] !== null && (typeof value[key] !== 'number' || !(value[key] > 0))) {
+      throw new Error(`Rules file: "auditLog.${key}" must be a positive number or null`);
+    }
+  }
+
+  if (value.compress !== undefined && typeof value.compress !== 'boolean') {
+    throw new Error('Rules file: "auditLog.compress" must be true or false');
+  }
+}
+
+/**
+ * Validate a single rule from the "rules" array
+ * @param {Object} rule - Rule object
+ * @param {number} index - Index in the rules array
+ * @throws {Error} If the rule is malformed
+ */
+export function validateRule(rule, index) {
+  if (!rule.service) {
+    throw new Error(`Rule at index ${index}: "service" field is required`);
+  }
+
+  if (!rule.permission) {
+    throw new Error(`Rule at index ${index}: "permission" field is required`);
+  }
+
+  if (!PERMISSIONS.includes(rule.permission)) {
+    throw new Error(`Rule at index ${index}: "permission" must be ${PERMISSION_LIST}, got "${rule.permission}"`);
+  }
+
+  if (rule.priority !== undefined && (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority))) {
+    throw new Error(`Rule at index ${index}: "priority" must be a number`);
+  }
+
+  try {
+    validateRuleMatchers(rule);
+  } catch (error) {
+    throw new Error(`Rule at index ${index}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a toolChanges policy
+ * @param {*} value - toolChanges value (undefined means warn)
+ * @param {string} location - Where the value was found, for error messages
+ * @throws {Error} If the value is not a valid policy
+ */
+function validateToolChangePolicy(value, location) {
+  if (value !== undefined && !TOOL_CHANGE_POLICIES.includes(value)) {
+    throw new Error(`${location}: "toolChanges" must be one of ${TOOL_CHANGE_POLICIES.join(', ')}, got "${value}"`);
+  }
+}
+
+/**
+ * Validate an annotationTrust level
+ * @param {*} value - annotationTrust value (undefined means escalate)
+ * @param {string} location - Where the value was found, for error messages
+ * @throws {Error} If the value is not a valid level
+ */
+function validateAnnotationTrust(value, location) {
+  if (value !== undefined && !ANNOTATION_TRUST_LEVELS.includes(value)) {
+    throw new Error(`${location}: "annotationTrust" must be one of ${ANNOTATION_TRUST_LEVELS.join(', ')}, got "${value}"`);
+  }
+}
+
+/**
+ * Validate an argumentTrust level
+ * @param {*} value - argumentTrust value (undefined means escalate)
+ * @param {string} location - Where the value was found, for error messages
+ * @throws {Error} If the value is not a valid level
+ */
+function validateArgumentTrust(value, location) {
+  if (value !== undefined && !ARGUMENT_TRUST_LEVELS.includes(value)) {
+    throw new Error(`${location}: "argumentTrust" must be one of ${ARGUMENT_TRUST_LEVELS.join(', ')}, got "${value}"`);
+  }
+}
+
+/**
+ * Validate a lowConfidence setting
+ * @param {*} value - lowConfidence value (undefined means defaults)
+ * @param {string} location - Where the value was found, for error messages
+ * @throws {Error} If the threshold or action is invalid
+ */
+function validateLowConfidence(value, location) {
+  if (value === undefined) {
+    return;
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${location}: "lowConfidence" must be an object`);
+  }
+  if (value.threshold !== undefined && (typeof value.threshold !== 'number' || value.threshold < 0 || value.threshold > 1)) {
+    throw new Error(`${location}: "lowConfidence.threshold" must be a number from 0 to 1`);
+  }
+  if (value.action !== undefined && !LOW_CONFIDENCE_ACTIONS.includes(value.action)) {
+    throw new Error(`${location}: "lowConfidence.action" must be one of ${LOW_CONFIDENCE_ACTIONS.join(', ')}, got "${value.action}"`);
+  }
+}
+
+// Fields of a "categories" entry
+const CATEGORY_KEYS = ['keywords', 'nouns', 'priority', 'permission'];
+
+/**
+ * Validate the "categories" taxonomy setting
+ * @param {*} value - categories value (undefined means built-in categories only)
+ * @throws {Error} If a category name, keyword list, priority or permission is invalid
+ */
+function validateCategories(value) {
+  if (value === undefined) {
+    return;
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Rules file: "categories" must be an object');
+  }
+
+  const priorities = new Map(Object.entries(BUILTIN_PRIORITIES).map(([name, priority]) => [priority, name]));
+  for (const [name, definition] of Object.entries(value)) {
+    const where = `Category "${name}"`;
+    if (!/^[a-z][a-z0-9_-]*$/.test(name)) {
+      throw new Error(`${where}: name must be lowercase letters, digits, "_" or "-"`);
+    }
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`${where}: must be an object`);
+    }
+
+    const unknown = Object.keys(definition).find(key => !CATEGORY_KEYS.includes(key));
+    if (unknown) {
+      throw new Error(`${where}: unknown field "${unknown}"`);
+    }
+
+    for (const key of ['keywords', 'nouns']) {
+      const words = definition[key];
+      if (words !== undefined && (!Array.isArray(words) || !words.every(word => typeof word === 'string' && /^[a-z0-9]+$/.test(word)))) {
+        throw new Error(`${where}: "${key}" must be an array of lowercase words`);
+      }
+    }
+
+    if (name in BUILTIN_PRIORITIES) {
+      if (definition.priority !== undefined) {
+        throw new Error(`${where}: the priority of a built-in category cannot be changed`);
+      }
+    } else {
+      if (!definition.keywords?.length && !definition.nouns?.length) {
+        throw new Error(`${where}: "keywords" or "nouns" is required`);
+      }
+      if (typeof definition.priority !== 'number' || !Number.isFinite(definition.priority)) {
+        throw new Error(`${where}: "priority" must be a number (built-in: ${Object.entries(BUILTIN_PRIORITIES).map(([category, priority]) => `${category} ${priority}`).join(', ')})`);
+      }
+      if (priorities.has(definition.priority)) {
+        throw new Error(`${where}: priority ${definition.priority} is already used by "${priorities.get(definition.priority)}"`);
+      }
+      priorities.set(definition.priority, name);
+    }
+
+    if (definition.permission !== undefined && !PERMISSIONS.includes(definition.permission)) {
+      throw new Error(`${where}: "permission" must be ${PERMISSION_LIST}, got "${definition.permission}"`);
+    }
+  }
+}
+
+/**
+ * Validate the "classifications" overrides
+ * @param {*} value - classifications value (undefined means none)
+ * @param {Object} [categories] - The file's "categories", whose names are valid operations too
+ * @throws {Error} If an override names an unknown operation
+ */
+function validateClassifications(value, categories = {}) {
+  if (value === undefined) {
+    return;
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Rules file: "classifications" must be an object mapping tool names to operations');
+  }
+
+  const operations = [...new Set([...Object.keys(BUILTIN_PRIORITIES), ...Object.keys(categories)])];
+  for (const [toolName, operation] of Object.entries(value)) {
+    if (!operations.includes(operation)) {
+      throw new Error(`Rules file: "classifications.${toolName}" must be one of ${operations.join(', ')}, got "${operation}"`);
+    }
+  }
+}
+
+/**
+ * Validate the "aliases" of every service; an alias can belong to one service only
+ * @param {Object} services - The "services" settings
+ * @throws {Error} If an alias list is malformed or an alias is used twice
+ */
+function validateServiceAliases(services) {
+  const owners = new Map();
+
+  for (const [service, settings] of Object.entries(services)) {
+    const aliases = settings?.aliases;
+    if (aliases === undefined) {
+      continue;
+    }
+    if (!Array.isArray(aliases) || !aliases.every(alias => typeof alias === 'string' && alias.length > 0)) {
+      throw new Error(`Service "${service}": "aliases" must be an array of tool-name prefixes`);
+    }
+
+    for (const alias of aliases) {
+      const owner = owners.get(alias.toLowerCase());
+      if (owner && owner !== service) {
+        throw new Error(`Service "${service}": alias "${alias}" is already used by "${owner}"`);
+      }
+      owners.set(alias.toLowerCase(), service);
+    }
+  }
+}
+
+/**
+ * Validate a parsed rules file (array or legacy object format)
+ * @param {Object} rulesData - Parsed rules file
+ * @throws {Error} If the rules file is malformed
+ */
+export function validateRules(rulesData) {
+  if (!rulesData || typeof rulesData !== 'object' || Array.isArray(rulesData)) {
+    throw new Error('Rules file must contain a JSON object');
+  }
+
+  validateDefaultPermission(rulesData.defaultPermission, 'Rules file');
+  validateDeniedToolsMode(rulesData.deniedTools, 'Rules file');
+  validateEnforcementMode(rulesData.mode, 'Rules file');
+  validateToolChangePolicy(rulesData.toolChanges, 'Rules file');
+  validateAnnotationTrust(rulesData.annotationTrust, 'Rules file');
+  validateArgumentTrust(rulesData.argumentTrust, 'Rules file');
+  validateLowConfidence(rulesData.lowConfidence, 'Rules file');
+
+  if (rulesData.approvalTimeout !== undefined &&
+      (typeof rulesData.approvalTimeout !== 'number' || !(rulesData.approvalTimeout > 0))) {
+    throw new Error('Rules file: "approvalTimeout" must be a positive number of seconds');
+  }
+
+  validateAuditLogSettings(rulesData.auditLog);
+  validateRedactionFields(rulesData.redact, 'Rules file');
+  validateRateLimits(rulesData.limits);
+  validateCategories(rulesData.categories);
+  validateClassifications(rulesData.classifications, rulesData.categories);
+
+  if (rulesData.services !== undefined) {
+    if (!rulesData.services || typeof rulesData.services !== 'object') {
+      throw new Error('Rules file: "services" must be an object');
+    }
+    for (const [service, settings] of Object.entries(rulesData.services)) {
+      validateDefaultPermission(settings?.defaultPermission, `Service "${service}"`);
+      validateDeniedToolsMode(settings?.deniedTools, `Service "${service}"`);
+      validateEnforcementMode(settings?.mode, `Service "${service}"`);
+      validateToolChangePolicy(settings?.toolChanges, `Service "${service}"`);
+      validateAnnotationTrust(settings?.annotationTrust, `Service "${service}"`);
+      validateArgumentTrust(settings?.argumentTrust, `Service "${service}"`);
+      validateLowConfidence(settings?.lowConfidence, `Service "${service}"`);
+      validateRedactionFields(settings?.redact, `Service "${service}"`);
+    }
+    validateServiceAliases(rulesData.services);
+  }
+
+  if (rulesData.rules !== undefined) {
+    if (!Array.isArray(rulesData.rules)) {
+      throw new Error('Rules file must contain a "rules" array');
+    }
+    rulesData.rules.forEach(validateRule);
+  }
+}
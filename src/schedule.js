@@ -0,0 +1,319 @@
+/**
+ * Time-window conditions for governance rules.
+ * A rule with a "schedule" only applies while the current time falls inside one of its windows.
+ */
+
+/**
+ * @typedef {Object} ScheduleWindow
+ * @property {string} [name] - Label recorded in the audit log when the window matches
+ * @property {string} [timezone] - IANA time zone (e.g. "Europe/Berlin"); defaults to the proxy's local zone
+ * @property {string|string[]} [days] - Weekdays or ranges: "mon-fri", ["sat", "sun"]
+ * @property {string|string[]} [hours] - Time ranges "HH:MM-HH:MM" (end exclusive, may wrap past midnight)
+ * @property {string} [cron] - Cron-like expression "minute hour day-of-month month day-of-week"
+ * @property {string} [from] - Start date "YYYY-MM-DD" (inclusive, in timezone) or ISO timestamp
+ * @property {string} [until] - End date "YYYY-MM-DD" (inclusive, in timezone) or ISO timestamp
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const WINDOW_KEYS = ['name', 'timezone', 'days', 'hours', 'cron', 'from', 'until'];
+
+const HOURS_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cron fields: [min, max, names (value = index + offset)]
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Intl formatters are expensive to create, so one is kept per time zone
+const formatters = new Map();
+
+/**
+ * Get the calendar fields of a moment in a time zone
+ * @param {Date} now - Moment
+ * @param {string} [timezone] - IANA time zone (undefined = local)
+ * @returns {{ date: string, weekday: number, month: number, day: number, minutes: number }}
+ *   date is "YYYY-MM-DD", weekday 0 = Sunday, minutes since midnight
+ */
+export function getLocalTime(now, timezone) {
+  const key = timezone || '';
+  let formatter = formatters.get(key);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', weekday: 'short'
+    });
+    formatters.set(key, formatter);
+  }
+
+  const parts = Object.fromEntries(formatter.formatToParts(now).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Parse a cron value ("mon", "9") to a number
+ * @param {string} value - Value text
+ * @param {Object} field - Entry of CRON_FIELDS
+ * @returns {number}
+ */
+function parseCronValue(value, field) {
+  const named = field.names?.indexOf(value.toLowerCase()) ?? -1;
+  const number = named !== -1 ? named + field.offset : /^\d+$/.test(value) ? Number(value) : NaN;
+  if (!(number >= field.min && number <= field.max)) {
+    throw new Error(`invalid ${field.name} "${value}" in cron expression`);
+  }
+  return number;
+}
+
+/**
+ * Expand one cron field ("*", "1-5", "0-30/15", "mon,wed") into the set of values it allows
+ * @param {string} text - Field text
+ * @param {Object} field - Entry of CRON_FIELDS
+ * @returns {Set<number>|null} Allowed values, or null for "*"
+ */
+function parseCronField(text, field) {
+  if (text === '*') {
+    return null;
+  }
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step "${stepText}" in cron expression`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [first, last] = range.split('-');
+      start = parseCronValue(first, field);
+      end = last === undefined ? (stepText === undefined ? start : field.max) : parseCronValue(last, field);
+    }
+    if (start > end) {
+      throw new Error(`invalid ${field.name} range "${range}" in cron expression`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Day-of-week 7 is Sunday, like 0
+      values.add(field.name === 'day-of-week' && value === 7 ? 0 : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - "minute hour day-of-month month day-of-week"
+ * @returns {(Set<number>|null)[]} Allowed values per field (null = any)
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`cron expression "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+  return fields.map((text, index) => parseCronField(text, CRON_FIELDS[index]));
+}
+
+/**
+ * Check a local time against a cron expression. As in cron, when both day fields are
+ * restricted a day matches if either of them does.
+ * @param {string} expression - Cron expression
+ * @param {ReturnType<typeof getLocalTime>} local - Local time
+ * @returns {boolean}
+ */
+function matchesCron(expression, local) {
+  const [minutes, hours, days, months, weekdays] = parseCron(expression);
+  const has = (set, value) => !set || set.has(value);
+
+  const dayMatches = days && weekdays
+    ? days.has(local.day) || weekdays.has(local.weekday)
+    : has(days, local.day) && has(weekdays, local.weekday);
+
+  return has(minutes, local.minutes % 60) && has(hours, Math.floor(local.minutes / 60)) &&
+    has(months, local.month) && dayMatches;
+}
+
+/**
+ * Expand a "days" value into weekday numbers
+ * @param {string|string[]} days - "mon-fri", ["sat", "sun"]
+ * @returns {Set<number>} Weekdays, 0 = Sunday
+ * @throws {Error} If a day name is unknown
+ */
+function parseDays(days) {
+  const result = new Set();
+  for (const entry of [].concat(days)) {
+    const [first, last = first] = String(entry).toLowerCase().split('-');
+    const start = DAY_NAMES.indexOf(first);
+    const end = DAY_NAMES.indexOf(last);
+    if (start === -1 || end === -1) {
+      throw new Error(`"days" entries must be day names (sun-sat) or ranges like "mon-fri", got "${entry}"`);
+    }
+    // "fri-mon" wraps over the weekend
+    for (let day = start; ; day = (day + 1) % 7) {
+      result.add(day);
+      if (day === end) break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Check minutes since midnight against an "HH:MM-HH:MM" range
+ * @param {string} range - Time range; an end before the start wraps past midnight
+ * @param {number} minutes - Minutes since midnight
+ * @returns {boolean}
+ */
+function inHours(range, minutes) {
+  const [, startH, startM, endH, endM] = HOURS_PATTERN.exec(range);
+  const start = Number(startH) * 60 + Number(startM);
+  const end = Number(endH) * 60 + Number(endM);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Check a date bound
+ * @param {string} bound - "YYYY-MM-DD" (compared with the local date) or ISO timestamp
+ * @param {Date} now - Current time
+ * @param {string} localDate - Current local date "YYYY-MM-DD"
+ * @returns {number} Negative if now is before the bound, zero on its day, positive after
+ */
+function compareToBound(bound, now, localDate) {
+  if (DATE_PATTERN.test(bound)) {
+    return localDate.localeCompare(bound);
+  }
+  return Math.sign(now.getTime() - Date.parse(bound));
+}
+
+/**
+ * Check whether a single window contains a moment
+ * @param {ScheduleWindow} window - Schedule window
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function windowContains(window, now) {
+  const local = getLocalTime(now, window.timezone);
+
+  if (window.from !== undefined && compareToBound(window.from, now, local.date) < 0) return false;
+  if (window.until !== undefined && compareToBound(window.until, now, local.date) > 0) return false;
+  if (window.days !== undefined && !parseDays(window.days).has(local.weekday)) return false;
+  if (window.hours !== undefined && ![].concat(window.hours).some(range => inHours(range, local.minutes))) return false;
+  if (window.cron !== undefined && !matchesCron(window.cron, local)) return false;
+
+  return true;
+}
+
+/**
+ * Describe a window for audit entries: its name, or its fields
+ * (e.g. "mon-fri 09:00-17:00 Europe/Berlin")
+ * @param {ScheduleWindow} window - Schedule window
+ * @returns {string}
+ */
+export function describeWindow(window) {
+  if (window.name) {
+    return window.name;
+  }
+
+  const parts = [];
+  if (window.days !== undefined) parts.push([].concat(window.days).join(','));
+  if (window.hours !== undefined) parts.push([].concat(window.hours).join(','));
+  if (window.cron !== undefined) parts.push(`cron(${window.cron})`);
+  if (window.from !== undefined || window.until !== undefined) parts.push(`${window.from || ''}..${window.until || ''}`);
+  if (window.timezone) parts.push(window.timezone);
+  return parts.join(' ') || 'always';
+}
+
+/**
+ * Find the window of a schedule that contains a moment
+ * @param {ScheduleWindow|ScheduleWindow[]|undefined} schedule - Rule schedule (undefined = always)
+ * @param {Date} [now] - Current time
+ * @returns {{ window: string|null }|null} Matching window label (null when the rule has no schedule),
+ *   or null if the schedule excludes the moment
+ */
+export function matchSchedule(schedule, now = new Date()) {
+  if (schedule === undefined) {
+    return { window: null };
+  }
+
+  const window = [].concat(schedule).find(candidate => windowContains(candidate, now));
+  return window ? { window: describeWindow(window) } : null;
+}
+
+/**
+ * Validate a rule schedule
+ * @param {*} schedule - Value of rule.schedule (undefined means always)
+ * @throws {Error} If a window is malformed
+ */
+export function validateSchedule(schedule) {
+  if (schedule === undefined) {
+    return;
+  }
+
+  const windows = [].concat(schedule);
+  if (windows.length === 0) {
+    throw new Error('"schedule" must be a window object or a non-empty array of windows');
+  }
+
+  windows.forEach((window, index) => {
+    const where = Array.isArray(schedule) ? `schedule window ${index}` : 'schedule';
+    if (!window || typeof window !== 'object' || Array.isArray(window)) {
+      throw new Error(`${where} must be an object`);
+    }
+
+    const unknown = Object.keys(window).filter(key => !WINDOW_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: unknown field "${unknown[0]}" (expected ${WINDOW_KEYS.join(', ')})`);
+    }
+
+    try {
+      if (window.name !== undefined && (typeof window.name !== 'string' || !window.name)) {
+        throw new Error('"name" must be a non-empty string');
+      }
+      if (window.timezone !== undefined) {
+        if (typeof window.timezone !== 'string') throw new Error('"timezone" must be a string');
+        try {
+          getLocalTime(new Date(), window.timezone);
+        } catch (e) {
+          throw new Error(`unknown timezone "${window.timezone}"`);
+        }
+      }
+      if (window.days !== undefined) {
+        if ([].concat(window.days).length === 0) throw new Error('"days" must not be empty');
+        parseDays(window.days);
+      }
+      if (window.hours !== undefined) {
+        const ranges = [].concat(window.hours);
+        if (ranges.length === 0 || ranges.some(range => typeof range !== 'string' || !HOURS_PATTERN.test(range))) {
+          throw new Error('"hours" must be a range "HH:MM-HH:MM" or an array of ranges');
+        }
+      }
+      if (window.cron !== undefined) {
+        if (typeof window.cron !== 'string') throw new Error('"cron" must be a string');
+        parseCron(window.cron);
+      }
+      for (const key of ['from', 'until']) {
+        if (window[key] !== undefined && (typeof window[key] !== 'string' || Number.isNaN(Date.parse(window[key])))) {
+          throw new Error(`"${key}" must be a date "YYYY-MM-DD" or an ISO timestamp`);
+        }
+      }
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  });
+}
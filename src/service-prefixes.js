@@ -0,0 +1,25 @@
+/**
+ * Service names that MCP servers commonly put in front of their tool names.
+ * extractService recognizes them without a separator ("githubListRepos") and keeps them
+ * even when the name is also an operation keyword ("fetch_url").
+ * Rules files add their own with services.<name>.aliases.
+ */
+
+export const KNOWN_SERVICE_PREFIXES = new Set([
+  // Code hosting and CI
+  'github', 'gitlab', 'bitbucket', 'git', 'circleci', 'jenkins', 'vercel', 'netlify',
+  // Issue tracking and docs
+  'jira', 'confluence', 'linear', 'asana', 'trello', 'notion', 'clickup', 'monday', 'zendesk',
+  // Chat and mail
+  'slack', 'discord', 'teams', 'gmail', 'outlook', 'twilio', 'telegram',
+  // Cloud and infrastructure
+  'aws', 'gcp', 'azure', 'cloudflare', 'docker', 'kubectl', 'kubernetes', 'helm', 'terraform',
+  // Data
+  'postgres', 'mysql', 'sqlite', 'mongodb', 'redis', 'supabase', 'airtable', 'bigquery', 'snowflake',
+  // Monitoring
+  'sentry', 'datadog', 'grafana', 'pagerduty',
+  // Business
+  'stripe', 'shopify', 'hubspot', 'salesforce', 'figma',
+  // Reference servers
+  'brave', 'puppeteer', 'playwright', 'filesystem', 'memory', 'fetch', 'maps', 'gdrive'
+]);
@@ -0,0 +1,206 @@
+/**
+ * Pinned tool definitions.
+ * mcp-gov-wrap records a hash of every tool definition a server lists in ~/.mcp-gov/tool-pins.json.
+ * The proxy compares later tools/list results with it, so a server that changes a tool's
+ * description or schema between sessions (a prompt-injection path) is caught.
+ * Changed and new definitions wait under "pending" until `mcp-gov tools accept` pins them.
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { dirname, join } from 'node:path';
+import { homedir } from 'node:os';
+import { withFileLock } from './file-lock.js';
+
+/** Default location of the pinned inventory */
+export const DEFAULT_TOOL_PINS_PATH = join(homedir(), '.mcp-gov', 'tool-pins.json');
+
+/**
+ * @typedef {Object} PinnedTool
+ * @property {string} hash - "sha256:<hex>" of the definition
+ * @property {Object} definition - Tool definition as listed by the server
+ * @property {string} pinnedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} ToolChange
+ * @property {string} name - Tool name
+ * @property {'changed'|'added'} status - Definition differs from the pinned one, or the tool was never pinned
+ * @property {string} hash - Hash of the listed definition
+ * @property {Object} definition - Listed definition
+ * @property {string} [seenAt] - ISO timestamp the proxy first saw this definition (pending entries)
+ */
+
+/**
+ * Serialize a value with object keys sorted, so equal definitions hash equally
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a tool definition. "_meta" is left out: servers may put per-session data there.
+ * @param {Object} tool - Tool from a tools/list result
+ * @returns {string} "sha256:<hex>"
+ */
+export function hashToolDefinition(tool) {
+  const { _meta, ...definition } = tool;
+  return `sha256:${createHash('sha256').update(canonicalJson(definition)).digest('hex')}`;
+}
+
+/**
+ * Read the pinned inventory
+ * @param {string} [path] - Inventory path
+ * @returns {{ services: Object.<string, { tools: Object.<string, PinnedTool>, pending?: Object.<string, ToolChange> }> }}
+ */
+export function readToolPins(path = DEFAULT_TOOL_PINS_PATH) {
+  try {
+    const pins = JSON.parse(readFileSync(path, 'utf8'));
+    return pins && typeof pins.services === 'object' ? pins : { services: {} };
+  } catch (e) {
+    return { services: {} };
+  }
+}
+
+/**
+ * Read, change and write the inventory under the file lock
+ * @param {string} path - Inventory path
+ * @param {function(Object): boolean} update - Mutates the inventory; returns false if nothing changed
+ */
+function updateToolPins(path, update) {
+  const dir = dirname(path);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  withFileLock(path, () => {
+    const pins = readToolPins(path);
+    if (update(pins) === false) {
+      return;
+    }
+
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(pins, null, 2) + '\n');
+    renameSync(tmpPath, path);
+  });
+}
+
+/**
+ * Check whether a service has a pinned inventory to compare against. Pending changes recorded
+ * for a never-pinned service leave an empty "tools" map, which does not count.
+ * @param {{ tools?: Object.<string, PinnedTool> }|undefined} servicePins - Pinned inventory of the service
+ * @returns {boolean}
+ */
+export function hasPinnedTools(servicePins) {
+  return Object.keys(servicePins?.tools || {}).length > 0;
+}
+
+/**
+ * Compare listed tools with a service's pinned inventory. Tools that disappeared are not reported.
+ * @param {{ tools: Object.<string, PinnedTool> }|undefined} servicePins - Pinned inventory of the service
+ * @param {Object[]} tools - Tools from a tools/list result
+ * @returns {ToolChange[]} Changed and new tools
+ */
+export function compareToolPins(servicePins, tools) {
+  const pinned = servicePins?.tools || {};
+  const changes = [];
+
+  for (const tool of tools) {
+    const hash = hashToolDefinition(tool);
+    const pin = pinned[tool.name];
+    if (!pin) {
+      changes.push({ name: tool.name, status: 'added', hash, definition: tool });
+    } else if (pin.hash !== hash) {
+      changes.push({ name: tool.name, status: 'changed', hash, definition: tool });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Pin every listed tool of a service, replacing its previous inventory
+ * @param {string} service - Service name
+ * @param {Object[]} tools - Tools from a tools/list result
+ * @param {{ path?: string, now?: Date }} [options]
+ */
+export function pinTools(service, tools, { path = DEFAULT_TOOL_PINS_PATH, now = new Date() } = {}) {
+  const pinnedAt = now.toISOString();
+
+  updateToolPins(path, (pins) => {
+    pins.services[service] = {
+      tools: Object.fromEntries(tools.map(tool => [tool.name, { hash: hashToolDefinition(tool), definition: tool, pinnedAt }]))
+    };
+  });
+}
+
+/**
+ * Record the changes a proxy saw in the latest tools/list, for review with `mcp-gov tools`.
+ * The file is only rewritten when the pending set differs from what is stored.
+ * @param {string} service - Service name
+ * @param {ToolChange[]} changes - Result of compareToolPins
+ * @param {{ path?: string, now?: Date }} [options]
+ */
+export function recordPendingTools(service, changes, { path = DEFAULT_TOOL_PINS_PATH, now = new Date() } = {}) {
+  updateToolPins(path, (pins) => {
+    const entry = pins.services[service] || { tools: {} };
+    const previous = entry.pending || {};
+
+    const same = Object.keys(previous).length === changes.length &&
+      changes.every(change => previous[change.name]?.hash === change.hash);
+    if (same) {
+      return false;
+    }
+
+    entry.pending = Object.fromEntries(changes.map(change => [change.name, {
+      ...change,
+      seenAt: previous[change.name]?.hash === change.hash ? previous[change.name].seenAt : now.toISOString()
+    }]));
+    pins.services[service] = entry;
+  });
+}
+
+/**
+ * Pin pending definitions of a service after review
+ * @param {string} service - Service name
+ * @param {string[]} [toolNames] - Tools to accept (default: every pending tool)
+ * @param {{ path?: string, now?: Date }} [options]
+ * @returns {ToolChange[]} Accepted changes
+ * @throws {Error} If the service or a named tool has no pending definition
+ */
+export function acceptToolChanges(service, toolNames = [], { path = DEFAULT_TOOL_PINS_PATH, now = new Date() } = {}) {
+  let accepted = [];
+
+  updateToolPins(path, (pins) => {
+    const entry = pins.services[service];
+    const pending = entry?.pending || {};
+    if (Object.keys(pending).length === 0) {
+      throw new Error(`No pending tool changes for service "${service}"`);
+    }
+
+    const missing = toolNames.filter(name => !pending[name]);
+    if (missing.length > 0) {
+      throw new Error(`No pending change for ${missing.join(', ')} in service "${service}"`);
+    }
+
+    accepted = toolNames.length > 0 ? toolNames.map(name => pending[name]) : Object.values(pending);
+    for (const change of accepted) {
+      entry.tools[change.name] = { hash: change.hash, definition: change.definition, pinnedAt: now.toISOString() };
+      delete pending[change.name];
+    }
+    if (Object.keys(pending).length === 0) {
+      delete entry.pending;
+    }
+  });
+
+  return accepted;
+}
@@ -0,0 +1,85 @@
+/**
+ * Tests for the out-of-band approval queue
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, existsSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { enqueueApproval, waitForDecision, listApprovals, decideApproval } from '../src/approval-queue.js';
+
+describe('approval queue', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mcp-gov-approvals-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const call = { tool: 'github_delete_repo', service: 'github', operation: 'delete', arguments: { repo: 'a/b' } };
+
+  it('should list queued calls with their full arguments', () => {
+    const entry = enqueueApproval(call, { dir });
+    const listed = listApprovals(dir).find(e => e.id === entry.id);
+
+    assert.ok(listed, 'Queued call should be listed');
+    assert.strictEqual(listed.status, 'pending');
+    assert.strictEqual(listed.tool, 'github_delete_repo');
+    assert.deepStrictEqual(listed.arguments, { repo: 'a/b' });
+
+    decideApproval(entry.id, false, dir);
+  });
+
+  it('should keep entries readable by their owner only', { skip: process.platform === 'win32' }, () => {
+    const queueDir = join(dir, 'queue');
+    const entry = enqueueApproval({ ...call, arguments: { repo: 'a/b', token: 'secret' } }, { dir: queueDir });
+
+    assert.strictEqual(statSync(queueDir).mode & 0o777, 0o700);
+    assert.strictEqual(statSync(join(queueDir, `${entry.id}.json`)).mode & 0o777, 0o600);
+    decideApproval(entry.id, true, queueDir);
+    assert.strictEqual(statSync(join(queueDir, `${entry.id}.json`)).mode & 0o777, 0o600, 'Decisions keep the mode');
+  });
+
+  it('should resolve approved calls and remove the entry', async () => {
+    const entry = enqueueApproval(call, { dir });
+    const decision = waitForDecision(entry, { dir });
+
+    decideApproval(entry.id, true, dir);
+
+    assert.deepStrictEqual(await decision, { approved: true });
+    assert.ok(!existsSync(join(dir, `${entry.id}.json`)), 'Entry should be removed');
+  });
+
+  it('should resolve rejected calls', async () => {
+    const entry = enqueueApproval(call, { dir });
+    const decision = waitForDecision(entry, { dir });
+
+    decideApproval(entry.id, false, dir);
+
+    const result = await decision;
+    assert.strictEqual(result.approved, false);
+    assert.match(result.reason, /rejected/);
+  });
+
+  it('should deny calls that time out', async () => {
+    const entry = enqueueApproval(call, { dir, timeoutSeconds: 0.3 });
+    const result = await waitForDecision(entry, { dir });
+
+    assert.strictEqual(result.approved, false);
+    assert.match(result.reason, /timed out/);
+    assert.ok(!listApprovals(dir).some(e => e.id === entry.id), 'Expired call should not be listed');
+  });
+
+  it('should refuse unknown or already decided requests', () => {
+    assert.throws(() => decideApproval('deadbeef', true, dir), /not found/);
+    assert.throws(() => decideApproval('../rules', true, dir), /Invalid approval id/);
+
+    const entry = enqueueApproval(call, { dir });
+    decideApproval(entry.id, true, dir);
+    assert.throws(() => decideApproval(entry.id, false, dir), /already approved/);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Tests for argument-sensitive classification
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { classifyArguments, argumentType } from '../src/argument-classifiers.js';
+import { detectOperation, classifyOperation, isArgumentSensitive, resolveArgumentTrust } from '../src/operation-detector.js';
+import { validateRules } from '../src/rules-validator.js';
+
+const context = toolName => ({ toolName, classifyWord: () => null });
+const operationOf = (args, toolName = 'run') => classifyArguments(args, context(toolName))?.operation ?? null;
+
+describe('argumentType', () => {
+  it('should find the classifier by the last word of the argument name', () => {
+    assert.strictEqual(argumentType('sql'), 'sql');
+    assert.strictEqual(argumentType('sql_query'), 'sql');
+    assert.strictEqual(argumentType('shellCommand'), 'shell');
+    assert.strictEqual(argumentType('http_method'), 'http');
+    assert.strictEqual(argumentType('query_string'), null);
+  });
+});
+
+describe('SQL classifier', () => {
+  it('should classify statements by their verb', () => {
+    assert.strictEqual(operationOf({ sql: 'SELECT * FROM users' }), 'read');
+    assert.strictEqual(operationOf({ sql: 'insert into users (name) values (1)' }), 'write');
+    assert.strictEqual(operationOf({ sql: 'UPDATE users SET name = 1' }), 'write');
+    assert.strictEqual(operationOf({ sql: 'DELETE FROM users WHERE id = 1' }), 'delete');
+    assert.strictEqual(operationOf({ sql: 'DROP TABLE users' }), 'delete');
+    assert.strictEqual(operationOf({ sql: 'TRUNCATE users' }), 'delete');
+    assert.strictEqual(operationOf({ sql: 'GRANT SELECT ON users TO bob' }), 'admin');
+  });
+
+  it('should take the most restrictive statement and look inside CTEs and EXPLAIN ANALYZE', () => {
+    assert.strictEqual(operationOf({ sql: 'SELECT 1; DROP TABLE users;' }), 'delete');
+    assert.strictEqual(operationOf({ sql: 'BEGIN; UPDATE t SET a = 1; COMMIT' }), 'write');
+    assert.strictEqual(operationOf({ sql: 'WITH gone AS (DELETE FROM t RETURNING *) SELECT * FROM gone' }), 'delete');
+    assert.strictEqual(operationOf({ sql: 'EXPLAIN ANALYZE DELETE FROM t' }), 'delete');
+    assert.strictEqual(operationOf({ sql: 'SELECT 1; FROBNICATE t' }), 'execute', 'Unknown statements run something');
+  });
+
+  it('should ignore comments, string literals and text that is not SQL', () => {
+    assert.strictEqual(operationOf({ sql: "SELECT '; DROP TABLE users' -- DELETE FROM t" }), 'read');
+    assert.strictEqual(operationOf({ sql: "SELECT '--'; DROP TABLE users" }), 'delete', 'A literal does not open a comment');
+    assert.strictEqual(operationOf({ sql: "SELECT '/*'; DROP TABLE users; SELECT '*/'" }), 'delete');
+    assert.strictEqual(operationOf({ query: 'how to delete from a table' }), null);
+    assert.strictEqual(operationOf({ query: 'delete old messages' }), null);
+  });
+
+  it('should read literals and comments the way every dialect does', () => {
+    assert.strictEqual(operationOf({ sql: String.raw`SELECT '\''; DROP TABLE t; SELECT '` }), 'delete', 'MySQL backslash escape');
+    assert.strictEqual(operationOf({ sql: String.raw`SELECT 'a\'; DROP TABLE t; --'` }), 'delete', 'Standard SQL, no escape');
+    assert.strictEqual(operationOf({ sql: "SELECT 1; # '\nDROP TABLE t; -- '" }), 'delete', 'MySQL # comment');
+    assert.strictEqual(operationOf({ sql: 'SELECT `\'`; DROP TABLE t; SELECT `\'`' }), 'delete', 'MySQL identifier');
+    assert.strictEqual(operationOf({ sql: 'SELECT 1 /*! ; DROP TABLE t */' }), 'delete', 'MySQL executable comment');
+    assert.strictEqual(operationOf({ sql: "SELECT $$'$$; DROP TABLE t; SELECT '$$'" }), 'delete', 'Dollar quoting');
+    assert.strictEqual(operationOf({ sql: String.raw`SELECT 'it''s', 'C:\dir' FROM t` }), 'read');
+  });
+
+  it('should treat SELECT INTO as a write', () => {
+    assert.strictEqual(operationOf({ sql: 'SELECT * INTO backup FROM users' }), 'write');
+    assert.strictEqual(operationOf({ sql: "SELECT * FROM users INTO OUTFILE '/tmp/users.csv'" }), 'write');
+    assert.strictEqual(operationOf({ sql: 'WITH u AS (SELECT * FROM users) SELECT * INTO backup FROM u' }), 'write');
+    assert.strictEqual(operationOf({ sql: "SELECT * FROM users WHERE note = 'into'" }), 'read');
+  });
+});
+
+describe('shell classifier', () => {
+  it('should classify programs and every command of a list or pipeline', () => {
+    assert.strictEqual(operationOf({ command: 'ls -la 2>&1 | grep foo' }), 'read');
+    assert.strictEqual(operationOf({ command: 'cat notes.txt && rm -rf /tmp/cache' }), 'delete');
+    assert.strictEqual(operationOf({ command: 'echo hi > notes.txt' }), 'write');
+    assert.strictEqual(operationOf({ command: 'find . -name "*.log" -delete' }), 'delete');
+    assert.strictEqual(operationOf({ command: 'node build.js' }), 'execute');
+    assert.strictEqual(operationOf({ cmd: ['rm', 'notes.txt'] }), 'delete');
+    assert.strictEqual(operationOf({ command: 'sort -o sorted.txt notes.txt' }), 'write');
+  });
+
+  it('should treat sed and awk as interpreters', () => {
+    assert.strictEqual(operationOf({ command: 'sed -i.bak s/a/b/ notes.txt' }), 'execute');
+    assert.strictEqual(operationOf({ command: 'sed -n 1p notes.txt' }), 'execute');
+    assert.strictEqual(operationOf({ command: 'awk \'BEGIN{system("rm -rf ~")}\'' }), 'execute');
+  });
+
+  it('should see through wrappers, shells and substitutions', () => {
+    assert.strictEqual(operationOf({ command: 'sudo ls' }), 'admin');
+    assert.strictEqual(operationOf({ command: 'FOO=1 nohup rm a' }), 'delete');
+    assert.strictEqual(operationOf({ command: 'bash -c "rm -f a"' }), 'delete');
+    assert.strictEqual(operationOf({ command: 'echo $(whoami)' }), 'execute');
+    assert.strictEqual(operationOf({ command: 'cat <(rm -rf ~)' }), 'execute', 'Process substitution');
+    assert.strictEqual(operationOf({ command: 'curl -X DELETE https://api.example.com/x' }), 'delete');
+  });
+
+  it('should classify subcommands, also for tools named after the program', () => {
+    const classifyWord = word => ({ status: { operation: 'read' }, push: { operation: 'execute' } })[word] || null;
+    const git = args => classifyArguments(args, { toolName: 'git', classifyWord })?.operation;
+
+    assert.strictEqual(git({ command: 'git status' }), 'read');
+    assert.strictEqual(git({ command: 'status' }), 'read');
+    assert.strictEqual(git({ command: 'push origin main' }), 'execute');
+    assert.strictEqual(git({ command: 'push --force origin main' }), 'delete');
+    assert.strictEqual(git({ command: 'branch -D old' }), 'delete');
+    assert.strictEqual(git({ command: 'rm notes.txt' }), 'delete');
+    assert.strictEqual(git({ command: 'git' }), 'execute', 'No subcommand');
+    assert.strictEqual(git({ command: 'frobnicate' }), 'execute', 'Unknown subcommand');
+    assert.strictEqual(git({ command: 'status --output=/home/u/.bashrc' }), 'write');
+  });
+
+  it('should classify argv given next to the command', () => {
+    assert.strictEqual(operationOf({ command: 'git', args: ['push', '--force', '--mirror'] }), 'delete');
+    assert.strictEqual(operationOf({ command: 'docker', args: ['rm', '-f', 'db'] }), 'delete');
+    assert.strictEqual(operationOf({ command: 'find', args: ['.', '-delete'] }), 'delete');
+    assert.strictEqual(operationOf({ cmd: ['ls'], argv: ['-la'] }), 'read');
+  });
+
+  it('should treat every redirection and output flag as a write', () => {
+    assert.strictEqual(operationOf({ command: 'echo hi >| /etc/passwd' }), 'write', 'Not the program passwd');
+    assert.strictEqual(operationOf({ command: 'echo hi >|notes.txt' }), 'write');
+    assert.strictEqual(operationOf({ command: 'echo hi &> notes.txt' }), 'write');
+    assert.strictEqual(operationOf({ command: 'echo hi >> notes.txt' }), 'write');
+    assert.strictEqual(operationOf({ command: '> notes.txt echo hi' }), 'write');
+    assert.strictEqual(operationOf({ command: 'ls > /dev/null 2>&1' }), 'read');
+    assert.strictEqual(operationOf({ command: 'curl -o /etc/cron.d/x https://example.com' }), 'write');
+    assert.strictEqual(operationOf({ command: 'curl -sSLO https://example.com/x' }), 'write');
+    assert.strictEqual(operationOf({ command: 'curl --output=/etc/cron.d/x https://example.com' }), 'write');
+    assert.strictEqual(operationOf({ command: 'curl https://example.com' }), 'read');
+  });
+
+  it('should not take programs that change settings for reads', () => {
+    assert.strictEqual(operationOf({ command: 'hostname' }), 'read');
+    assert.strictEqual(operationOf({ command: 'hostname evil' }), 'admin');
+    assert.strictEqual(operationOf({ command: 'date +%F' }), 'read');
+    assert.strictEqual(operationOf({ command: 'date -d yesterday +%F' }), 'read');
+    assert.strictEqual(operationOf({ command: 'date -s "2020-01-01 00:00"' }), 'admin');
+  });
+});
+
+describe('HTTP classifier', () => {
+  it('should classify methods', () => {
+    assert.strictEqual(operationOf({ method: 'GET' }), 'read');
+    assert.strictEqual(operationOf({ method: 'post' }), 'write');
+    assert.strictEqual(operationOf({ httpMethod: 'DELETE' }), 'delete');
+    assert.strictEqual(operationOf({ method: 'BREW' }), null);
+  });
+});
+
+describe('detectOperation with arguments', () => {
+  it('should let trusted arguments decide for multiplexed tools', () => {
+    const argumentTrust = 'trust';
+    assert.strictEqual(detectOperation('execute_sql', { args: { sql: 'SELECT 1' }, argumentTrust }), 'read');
+    assert.strictEqual(detectOperation('execute_sql', { args: { sql: 'DROP TABLE users' }, argumentTrust }), 'delete');
+    assert.strictEqual(detectOperation('run_command', { args: { command: 'ls' }, argumentTrust }), 'read');
+    assert.strictEqual(detectOperation('git', { args: { command: 'status' }, argumentTrust }), 'read');
+    assert.strictEqual(detectOperation('git', { args: { command: 'reset --hard' }, argumentTrust }), 'delete', 'Subcommands use the keyword taxonomy');
+    assert.strictEqual(detectOperation('execute_sql', { args: {}, argumentTrust }), 'execute', 'Nothing recognized');
+    assert.strictEqual(detectOperation('run_command', { args: { command: 'git', args: ['push', '--force'] }, argumentTrust }), 'delete');
+    assert.strictEqual(detectOperation('git', { args: { command: 'git diff --output=/home/u/.bashrc' }, argumentTrust }), 'write');
+  });
+
+  it('should only let arguments raise multiplexed tools by default', () => {
+    assert.strictEqual(detectOperation('execute_sql', { args: { sql: 'SELECT 1' } }), 'execute');
+    assert.strictEqual(detectOperation('run_command', { args: { command: 'ls' } }), 'execute');
+    assert.strictEqual(detectOperation('git', { args: { command: 'status' } }), 'write', 'The default for names without a keyword');
+    assert.strictEqual(detectOperation('execute_sql', { args: { sql: 'DROP TABLE users' } }), 'delete');
+    assert.match(classifyOperation('execute_sql', { args: { sql: 'SELECT 1' } }).explanation, /^"execute" is an execute keyword$/);
+  });
+
+  it('should resolve argument trust per service and validate it', () => {
+    const rules = { argumentTrust: 'trust', services: { github: { argumentTrust: 'escalate' } } };
+    assert.strictEqual(resolveArgumentTrust(rules, 'github'), 'escalate');
+    assert.strictEqual(resolveArgumentTrust(rules, 'postgres'), 'trust');
+    assert.strictEqual(resolveArgumentTrust({}, 'postgres'), 'escalate');
+    assert.throws(() => validateRules({ services: { postgres: { argumentTrust: 'ignore' } } }),
+      /Service "postgres": "argumentTrust" must be one of escalate, trust, got "ignore"/);
+  });
+
+  it('should only let arguments raise other tools', () => {
+    assert.strictEqual(detectOperation('query', { args: { sql: 'DROP TABLE users' } }), 'delete');
+    assert.strictEqual(detectOperation('fetch', { args: { url: 'https://example.com', method: 'DELETE' } }), 'delete');
+    assert.strictEqual(detectOperation('github_delete_repo', { args: { method: 'GET' } }), 'delete');
+    assert.strictEqual(detectOperation('brave_web_search', { args: { query: 'SELECT statements' } }), 'read');
+  });
+
+  it('should explain the argument that decided', () => {
+    const classification = classifyOperation('execute_sql', {
+      args: { sql: 'DROP TABLE users' }, annotations: { readOnlyHint: true }, trust: 'trust', argumentTrust: 'trust'
+    });
+    assert.deepStrictEqual([classification.basis, classification.confidence, classification.fallback], ['arguments', 0.9, false]);
+    assert.match(classification.explanation, /; argument "sql": DROP statement makes it delete$/);
+    assert.match(classifyOperation('query', { args: { sql: 'DROP TABLE users' } }).explanation, /DROP statement raises it to delete$/);
+    assert.strictEqual(detectOperation('execute_sql', { args: { sql: 'DROP TABLE users' }, classifications: { execute_sql: 'read' } }), 'read',
+      'Overrides still win');
+  });
+
+  it('should report tools whose arguments can lower the operation', () => {
+    const schema = { inputSchema: { properties: { sql: { type: 'string' } } } };
+    const options = { argumentTrust: 'trust' };
+    assert.strictEqual(isArgumentSensitive('execute_sql', schema, options), true);
+    assert.strictEqual(isArgumentSensitive('execute_sql', schema), false, 'Arguments only raise by default');
+    assert.strictEqual(isArgumentSensitive('query', schema, options), false, 'Already a read');
+    assert.strictEqual(isArgumentSensitive('execute_sql', { inputSchema: { properties: { table: {} } } }, options), false);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for audit log rotation, compression and retention
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createAuditEntry, appendAuditEntry, verifyAuditLog } from '../src/audit-log.js';
+import {
+  resolveRotationPolicy, shouldRotate, rotateLogFile, finishRotation,
+  listRotatedLogs, listLogSegments, readLogLines, tailLog
+} from '../src/audit-rotation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('audit log rotation', () => {
+  let dir;
+  let logPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mcp-gov-rotation-'));
+    logPath = join(dir, 'github.log');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeEntries(count, rotation) {
+    for (let i = 0; i < count; i++) {
+      appendAuditEntry(logPath, createAuditEntry({ sessionId: 's1', tool: `tool_${i}`, decision: 'allowed' }), { rotation });
+    }
+  }
+
+  it('should rotate by size and by age of the first entry', () => {
+    writeEntries(1);
+
+    assert.strictEqual(shouldRotate(logPath, { maxSizeMB: 1 }), false);
+    assert.strictEqual(shouldRotate(logPath, { maxSizeMB: 0.0001 }), true);
+    assert.strictEqual(shouldRotate(logPath, { maxAgeDays: 1 }), false);
+    assert.strictEqual(shouldRotate(logPath, { maxAgeDays: 1 }, Date.now() + 2 * DAY_MS), true);
+    assert.strictEqual(shouldRotate(join(dir, 'missing.log'), { maxSizeMB: 0.0001 }), false);
+  });
+
+  it('should continue the hash chain into the new file and gzip rotated files', async () => {
+    const rotation = resolveRotationPolicy({ maxSizeMB: 0.0001, maxAgeDays: null });
+    writeEntries(3, rotation);
+    await finishRotation(logPath, rotation);
+
+    const rotated = listRotatedLogs(logPath);
+    assert.strictEqual(rotated.length, 2);
+    assert.ok(rotated.every(segment => segment.compressed && segment.path.endsWith('.gz')));
+    assert.deepStrictEqual(readdirSync(dir).filter(f => !f.endsWith('.gz')), ['github.log']);
+
+    const result = await verifyAuditLog(listLogSegments(logPath));
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.chained, 3);
+  });
+
+  it('should tail across rotated files, newest last', async () => {
+    const rotation = resolveRotationPolicy({ maxSizeMB: 0.0001, maxAgeDays: null });
+    writeEntries(5, rotation);
+    await finishRotation(logPath, rotation);
+
+    const lines = await tailLog(logPath, 3);
+    assert.deepStrictEqual(lines.map(line => JSON.parse(line).tool), ['tool_2', 'tool_3', 'tool_4']);
+    assert.strictEqual((await tailLog(logPath, 20)).length, 5);
+  });
+
+  it('should delete rotated files outside the retention policy', async () => {
+    writeFileSync(logPath, 'a\n');
+    rotateLogFile(logPath, Date.now() - 100 * DAY_MS);
+    for (let i = 0; i < 3; i++) {
+      writeFileSync(logPath, `${i}\n`);
+      rotateLogFile(logPath);
+    }
+
+    await finishRotation(logPath, { retentionDays: 90, maxFiles: 2, compress: false });
+
+    const remaining = listRotatedLogs(logPath);
+    assert.strictEqual(remaining.length, 2);
+    assert.deepStrictEqual(
+      await Promise.all(remaining.map(async segment => (await tailLog(segment.path, 1))[0])),
+      ['1', '2']
+    );
+  });
+
+  it('should reject corrupt compressed files', async () => {
+    const path = `${logPath}.2026-01-01T00-00-00.000Z.gz`;
+    writeFileSync(path, 'not gzip');
+
+    await assert.rejects(async () => {
+      for await (const line of readLogLines(path)) {
+        assert.fail(`unexpected line ${line}`);
+      }
+    });
+  });
+});
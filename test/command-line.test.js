@@ -0,0 +1,33 @@
+/**
+ * Tests for target command parsing
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { splitCommandLine, formatCommandLine } from '../src/command-line.js';
+
+describe('splitCommandLine', () => {
+  it('should split unquoted commands on whitespace like older versions', () => {
+    assert.deepStrictEqual(splitCommandLine('npx  -y @modelcontextprotocol/server-github'), ['npx', '-y', '@modelcontextprotocol/server-github']);
+    assert.deepStrictEqual(splitCommandLine('node C:\\tools\\server.js --opt={"a":1}'), ['node', 'C:\\tools\\server.js', '--opt={"a":1}']);
+  });
+
+  it('should keep quoted tokens together', () => {
+    assert.deepStrictEqual(
+      splitCommandLine(`node "/My Documents/server.js" '{"root": "/data"}' ""`),
+      ['node', '/My Documents/server.js', '{"root": "/data"}', '']
+    );
+    assert.deepStrictEqual(splitCommandLine('"/Applications/My App.app"/bin/server --x'), ['/Applications/My App.app/bin/server', '--x']);
+  });
+
+  it('should reject an unterminated quote', () => {
+    assert.throws(() => splitCommandLine('node "server.js'), /Unterminated "/);
+  });
+});
+
+describe('formatCommandLine', () => {
+  it('should quote arguments that would not split back correctly', () => {
+    const argv = ['node', '/My Documents/server.js', '{"a":1}', ''];
+    assert.strictEqual(formatCommandLine(argv), 'node "/My Documents/server.js" "{\\"a\\":1}" ""');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for GovernedMCPServer permission checks
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GovernedMCPServer } from '../src/index.js';
+
+const config = { name: 'test-server', version: '1.0.0' };
+
+describe('GovernedMCPServer.checkPermission', () => {
+  it('should allow everything when no rules are configured', () => {
+    const server = new GovernedMCPServer(config);
+    assert.strictEqual(server.checkPermission('github_delete_repo'), true);
+  });
+
+  it('should apply service operation rules', () => {
+    const server = new GovernedMCPServer(config, { github: { delete: 'deny', read: 'allow' } });
+    assert.strictEqual(server.checkPermission('github_delete_repo'), false);
+    assert.strictEqual(server.checkPermission('github_list_repos'), true);
+  });
+
+  it('should apply "*" rules to every service, with service rules taking precedence', () => {
+    const server = new GovernedMCPServer(config, {
+      '*': { delete: 'deny' },
+      github: { delete: 'allow' }
+    });
+    assert.strictEqual(server.checkPermission('github_delete_repo'), true);
+    assert.strictEqual(server.checkPermission('slack_delete_message'), false);
+  });
+
+  it('should fall back to per-service and global default permissions', () => {
+    const server = new GovernedMCPServer(config, {
+      defaultPermission: 'deny',
+      github: { read: 'allow', defaultPermission: 'allow' },
+      slack: { read: 'allow' }
+    });
+    assert.strictEqual(server.checkPermission('github_create_issue'), true);
+    assert.strictEqual(server.checkPermission('slack_list_channels'), true);
+    assert.strictEqual(server.checkPermission('slack_post_message'), false);
+    assert.strictEqual(server.checkPermission('jira_get_issue'), false);
+  });
+
+  it('should treat "ask" as deny since there is no approval channel', () => {
+    const server = new GovernedMCPServer(config, { github: { delete: 'ask' } });
+    assert.strictEqual(server.checkPermission('github_delete_repo'), false);
+  });
+
+  it('should apply rules to categories defined in the rules', () => {
+    const server = new GovernedMCPServer(config, {
+      categories: { financial: { keywords: ['refund'], nouns: ['charge'], priority: 45 } },
+      stripe: { financial: 'deny' }
+    });
+    assert.strictEqual(server.checkPermission('stripe_refund_charge'), false);
+    assert.strictEqual(server.checkPermission('stripe_list_charges'), true);
+  });
+
+  it('should apply "classifications" overrides before keyword detection', () => {
+    const server = new GovernedMCPServer(config, {
+      classifications: { github_merge_pull_request: 'write' },
+      github: { execute: 'deny' }
+    });
+    assert.strictEqual(server.checkPermission('github_merge_pull_request'), true);
+    assert.strictEqual(server.checkPermission('github_merge_branch'), false);
+  });
+
+  it('should classify vaguely named tools from their registered definition', () => {
+    const server = new GovernedMCPServer(config, { annotationTrust: 'trust', notion: { write: 'deny' } });
+    server.registerTool({ name: 'notion_page', description: 'Retrieves a Notion page.', inputSchema: { type: 'object' } }, async () => ({}));
+    assert.strictEqual(server.checkPermission('notion_page'), true);
+    assert.strictEqual(server.checkPermission('notion_block'), false);
+  });
+
+  it('should classify multiplexed tools by the call arguments', () => {
+    const server = new GovernedMCPServer(config, { postgres: { delete: 'deny' } });
+    assert.strictEqual(server.checkPermission('postgres_execute_sql', { sql: 'SELECT 1' }), true);
+    assert.strictEqual(server.checkPermission('postgres_execute_sql', { sql: 'DROP TABLE users' }), false);
+
+    const trusting = new GovernedMCPServer(config, { argumentTrust: 'trust', postgres: { execute: 'deny' } });
+    assert.strictEqual(trusting.checkPermission('postgres_execute_sql', { sql: 'SELECT 1' }), true);
+    const escalating = new GovernedMCPServer(config, { postgres: { execute: 'deny' } });
+    assert.strictEqual(escalating.checkPermission('postgres_execute_sql', { sql: 'SELECT 1' }), false);
+  });
+
+  it('should find the service in other tool-name styles and aliases', () => {
+    const server = new GovernedMCPServer(config, { github: { delete: 'deny', aliases: ['gh'] } });
+    assert.strictEqual(server.checkPermission('githubDeleteRepo'), false);
+    assert.strictEqual(server.checkPermission('mcp__github__delete_repo'), false);
+    assert.strictEqual(server.checkPermission('gh_delete_repo'), false);
+    assert.strictEqual(server.checkPermission('gitlab_delete_repo'), true);
+  });
+});
+
+describe('GovernedMCPServer.logOperation', () => {
+  it('should write audit entries in the proxy JSONL schema', () => {
+    const server = new GovernedMCPServer(config);
+    const lines = [];
+    const originalError = console.error;
+    console.error = (line) => lines.push(line);
+
+    try {
+      server.logOperation('github_create_issue', { title: 'x', token: 'secret' }, 'allowed', {
+        durationMs: 5,
+        success: true,
+        responseSize: 42
+      });
+    } finally {
+      console.error = originalError;
+    }
+
+    const entry = JSON.parse(lines[0]);
+    assert.strictEqual(entry.event, 'tool_call');
+    assert.strictEqual(entry.sessionId, server.sessionId);
+    assert.strictEqual(entry.service, 'github');
+    assert.strictEqual(entry.operation, 'write');
+    assert.strictEqual(entry.classification.keyword, 'create');
+    assert.strictEqual(entry.classification.explanation, '"create" is a write keyword');
+    assert.strictEqual(entry.decision, 'allowed');
+    assert.strictEqual(entry.success, true);
+    assert.strictEqual(entry.responseSize, 42);
+    assert.deepStrictEqual(entry.arguments, { title: 'x', token: '[REDACTED]' });
+  });
+
+  it('should report monitor mode per service and per file', () => {
+    const server = new GovernedMCPServer({ name: 'test', version: '1.0.0' }, {
+      github: { delete: 'deny', mode: 'monitor' },
+      slack: { delete: 'deny' }
+    });
+
+    assert.strictEqual(server.checkPermission('github_delete_repo'), false, 'Evaluation is unchanged');
+    assert.strictEqual(server.isMonitored('github_delete_repo'), true);
+    assert.strictEqual(server.isMonitored('slack_delete_message'), false);
+
+    const monitored = new GovernedMCPServer({ name: 'test', version: '1.0.0' }, { mode: 'monitor', slack: { mode: 'enforce' } });
+    assert.strictEqual(monitored.isMonitored('github_delete_repo'), true);
+    assert.strictEqual(monitored.isMonitored('slack_delete_message'), false);
+
+    const aliased = new GovernedMCPServer({ name: 'test', version: '1.0.0' }, { github: { aliases: ['gh'], mode: 'monitor', delete: 'deny' } });
+    assert.strictEqual(aliased.checkPermission('gh_delete_repo'), false);
+    assert.strictEqual(aliased.isMonitored('gh_delete_repo'), true, 'Aliases find the service');
+  });
+
+  it('should apply per-service redaction lists', () => {
+    const server = new GovernedMCPServer({ name: 'test', version: '1.0.0' }, {
+      redact: ['body'],
+      github: { redact: ['content'] }
+    });
+    const lines = [];
+    const originalError = console.error;
+    console.error = (line) => lines.push(line);
+
+    try {
+      server.logOperation('github_create_file', { path: 'a.md', content: 'c', body: 'b', author: 'bob@example.com' }, 'allowed');
+    } finally {
+      console.error = originalError;
+    }
+
+    assert.deepStrictEqual(JSON.parse(lines[0]).arguments, {
+      path: 'a.md', content: '[REDACTED]', body: '[REDACTED]', author: '[REDACTED:email]'
+    });
+  });
+});
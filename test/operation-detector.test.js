@@ -0,0 +1,224 @@
+/**
+ * Tests for operation detection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import {
+  detectOperation, classifyOperation, parseToolName, operationFromAnnotations, resolveAnnotationTrust, resolveLowConfidence, tokenizeToolName,
+  extractService, resolveServiceAliases
+} from '../src/operation-detector.js';
+
+const { _comment, ...corpus } = JSON.parse(readFileSync(new URL('./operation-corpus.json', import.meta.url), 'utf8'));
+
+describe('tokenizeToolName', () => {
+  it('should split snake_case, camelCase, kebab-case and dots', () => {
+    assert.deepStrictEqual(tokenizeToolName('github_list_repos'), ['github', 'list', 'repos']);
+    assert.deepStrictEqual(tokenizeToolName('getPullRequest'), ['get', 'pull', 'request']);
+    assert.deepStrictEqual(tokenizeToolName('getHTTPHeaders'), ['get', 'http', 'headers']);
+    assert.deepStrictEqual(tokenizeToolName('github.list-PRs'), ['github', 'list', 'prs']);
+    assert.deepStrictEqual(tokenizeToolName(''), []);
+  });
+});
+
+describe('extractService', () => {
+  it('should take the prefix before the first separator', () => {
+    assert.strictEqual(extractService('github_list_repos'), 'github');
+    assert.strictEqual(extractService('github.list_repos'), 'github');
+    assert.strictEqual(extractService('github:list_repos'), 'github');
+    assert.strictEqual(extractService('my-service_list_items'), 'my-service');
+  });
+
+  it('should unwrap package-style and client-namespaced names', () => {
+    assert.strictEqual(extractService('mcp-server-github_list_repos'), 'github');
+    assert.strictEqual(extractService('mcp__github__list_repos'), 'github');
+  });
+
+  it('should split camelCase and kebab-case names, preferring known prefixes', () => {
+    assert.strictEqual(extractService('githubListRepos'), 'github');
+    assert.strictEqual(extractService('github-list-repos'), 'github');
+    assert.strictEqual(extractService('acmeListWidgets'), 'acme');
+  });
+
+  it('should report tools without a service prefix as unknown', () => {
+    assert.strictEqual(extractService('list_repos'), 'unknown');
+    assert.strictEqual(extractService('getFileContents'), 'unknown');
+    assert.strictEqual(extractService('read_file'), 'unknown');
+    assert.strictEqual(extractService('fetch'), 'unknown');
+    assert.strictEqual(extractService('fetch_url'), 'fetch', 'Known services win over keywords');
+    assert.strictEqual(extractService(''), 'unknown');
+  });
+
+  it('should map aliases to their service', () => {
+    const aliases = resolveServiceAliases({ github: { aliases: ['gh', 'Octo'] }, slack: {} });
+
+    assert.deepStrictEqual(aliases, { gh: 'github', octo: 'github' });
+    assert.strictEqual(extractService('gh_list_repos', { aliases }), 'github');
+    assert.strictEqual(extractService('ghListRepos', { aliases }), 'github');
+    assert.strictEqual(extractService('octo.create_issue', { aliases }), 'github');
+    assert.strictEqual(parseToolName('gh_delete_repo', { serviceAliases: aliases }).service, 'github');
+  });
+});
+
+describe('detectOperation', () => {
+  it('should match whole words, not substrings', () => {
+    assert.strictEqual(detectOperation('github_get_address'), 'read', '"address" is not "add"');
+    assert.strictEqual(detectOperation('list_settings'), 'read', 'Listing settings is a read');
+    assert.strictEqual(detectOperation('list_initiatives'), 'read', '"initiatives" is not "init"');
+    assert.strictEqual(detectOperation('print_report'), 'read', '"print" contains neither "pr" nor "run"');
+  });
+
+  it('should match plural and -ing/-ed forms', () => {
+    assert.strictEqual(detectOperation('deleted_items_purge'), 'delete');
+    assert.strictEqual(detectOperation('running_jobs'), 'execute');
+    assert.strictEqual(detectOperation('db_queries'), 'read');
+  });
+
+  it('should let admin nouns escalate changes but not reads', () => {
+    assert.strictEqual(detectOperation('update_settings'), 'admin');
+    assert.strictEqual(detectOperation('get_permissions'), 'read');
+  });
+
+  it('should default to write when no keyword matches', () => {
+    assert.strictEqual(detectOperation('puppeteer_navigate'), 'write');
+    assert.strictEqual(detectOperation(''), 'write');
+  });
+
+  for (const [server, tools] of Object.entries(corpus)) {
+    it(`should classify ${server} tools`, () => {
+      for (const [toolName, operation] of Object.entries(tools)) {
+        assert.strictEqual(detectOperation(toolName), operation, toolName);
+      }
+    });
+  }
+});
+
+describe('operationFromAnnotations', () => {
+  it('should map explicit hints only', () => {
+    assert.strictEqual(operationFromAnnotations({ readOnlyHint: true, destructiveHint: true }), 'read');
+    assert.strictEqual(operationFromAnnotations({ destructiveHint: true }), 'delete');
+    assert.strictEqual(operationFromAnnotations({ readOnlyHint: false, destructiveHint: false }), 'write');
+    assert.strictEqual(operationFromAnnotations({ idempotentHint: true, openWorldHint: false }), null);
+    assert.strictEqual(operationFromAnnotations(undefined), null);
+  });
+});
+
+describe('detectOperation with annotations', () => {
+  it('should only let hints escalate by default', () => {
+    assert.strictEqual(detectOperation('github_tidy_labels', { annotations: { destructiveHint: true } }), 'delete');
+    assert.strictEqual(detectOperation('github_delete_repo', { annotations: { readOnlyHint: true } }), 'delete', 'A read-only claim cannot downgrade');
+    assert.strictEqual(detectOperation('github_list_repos', { annotations: { destructiveHint: false } }), 'write', 'Not read-only');
+  });
+
+  it('should let hints replace keywords with "trust"', () => {
+    assert.strictEqual(detectOperation('github_delete_repo', { annotations: { readOnlyHint: true }, trust: 'trust' }), 'read');
+    assert.strictEqual(detectOperation('github_list_repos', { annotations: { destructiveHint: true }, trust: 'trust' }), 'delete');
+    assert.strictEqual(detectOperation('github_delete_repo', { annotations: {}, trust: 'trust' }), 'delete', 'No hints, keyword result');
+  });
+
+  it('should ignore hints with "ignore"', () => {
+    assert.strictEqual(detectOperation('github_tidy_labels', { annotations: { destructiveHint: true }, trust: 'ignore' }), 'write');
+  });
+
+  it('should resolve the trust level per service', () => {
+    const rules = { annotationTrust: 'ignore', services: { github: { annotationTrust: 'trust' }, '*': { annotationTrust: 'escalate' } } };
+    assert.strictEqual(resolveAnnotationTrust(rules, 'github'), 'trust');
+    assert.strictEqual(resolveAnnotationTrust(rules, 'slack'), 'escalate');
+    assert.strictEqual(resolveAnnotationTrust({ annotationTrust: 'ignore' }, 'slack'), 'ignore');
+    assert.strictEqual(resolveAnnotationTrust({}, 'slack'), 'escalate');
+  });
+});
+
+describe('classifyOperation', () => {
+  it('should report the keyword, category and priority that decided', () => {
+    const classification = parseToolName('slack_post_message');
+
+    assert.strictEqual(classification.service, 'slack');
+    assert.strictEqual(classification.operation, 'execute');
+    assert.strictEqual(classification.keyword, 'post');
+    assert.strictEqual(classification.category, 'execute');
+    assert.deepStrictEqual(classification.categories, ['execute', 'write']);
+    assert.strictEqual(classification.priority, 3);
+    assert.strictEqual(classification.fallback, false);
+    assert.strictEqual(classification.explanation, '"post" is an execute keyword (also write; execute has priority)');
+  });
+
+  it('should be less confident about ambiguous keywords, nouns and the default', () => {
+    assert.strictEqual(classifyOperation('github_list_repos').confidence, 0.9);
+    assert.strictEqual(classifyOperation('slack_post_message').confidence, 0.6);
+    assert.strictEqual(classifyOperation('git_status').basis, 'noun');
+    assert.ok(classifyOperation('git_status').confidence < 0.5);
+
+    const fallback = classifyOperation('puppeteer_navigate');
+    assert.deepStrictEqual([fallback.operation, fallback.keyword, fallback.basis, fallback.fallback], ['write', null, 'default', true]);
+    assert.strictEqual(fallback.confidence, 0.2);
+  });
+
+  it('should explain connectors, admin nouns and word forms', () => {
+    assert.strictEqual(classifyOperation('get_or_create_user').keyword, 'create');
+    assert.strictEqual(classifyOperation('get_or_create_user').basis, 'connector');
+    assert.strictEqual(classifyOperation('update_settings').explanation, '"update" changes "settings", an admin keyword');
+    assert.strictEqual(classifyOperation('deleted_items_purge').explanation, '"deleted" ("delete") is a delete keyword');
+    assert.strictEqual(classifyOperation('query_delete').explanation, '"delete" is a delete keyword, more restrictive than "query" (read)');
+  });
+
+  it('should read action nouns after another action word as the object', () => {
+    assert.strictEqual(detectOperation('get_workflow_run'), 'read');
+    assert.strictEqual(detectOperation('run_workflow'), 'execute');
+    assert.strictEqual(detectOperation('get_and_run_workflow'), 'execute');
+  });
+
+  it('should explain how annotations changed the result', () => {
+    const escalated = classifyOperation('puppeteer_navigate', { annotations: { destructiveHint: true } });
+    assert.deepStrictEqual([escalated.operation, escalated.basis, escalated.fallback], ['delete', 'annotations', false]);
+    assert.match(escalated.explanation, /destructiveHint annotation raises it to delete$/);
+
+    assert.match(classifyOperation('github_delete_repo', { annotations: { readOnlyHint: true } }).explanation, /cannot lower it to read$/);
+    assert.strictEqual(classifyOperation('puppeteer_navigate', { annotations: { destructiveHint: false } }).fallback, false);
+  });
+
+  it('should let "classifications" override the name and annotations', () => {
+    const classifications = { github_merge_pull_request: 'write' };
+    const classification = classifyOperation('github_merge_pull_request', { classifications, annotations: { destructiveHint: true } });
+
+    assert.deepStrictEqual([classification.operation, classification.basis, classification.confidence], ['write', 'override', 1]);
+    assert.strictEqual(classification.explanation, 'set to write by "classifications" in the rules file');
+    assert.strictEqual(detectOperation('github_merge_branch', { classifications }), 'execute', 'Only the named tool');
+    assert.strictEqual(detectOperation('toString', { classifications: {} }), 'write', 'Not an inherited property');
+  });
+
+  it('should fall back to the description and input schema with less confidence', () => {
+    const page = classifyOperation('notion_page', { definition: { description: 'Retrieves a Notion page by its ID. Blocks are included.' }, trust: 'trust' });
+    assert.deepStrictEqual([page.operation, page.basis, page.confidence, page.fallback], ['read', 'description', 0.5, false]);
+    assert.strictEqual(page.explanation, 'no operation keyword in the name; from the description: "retrieves" ("retrieve") is a read keyword');
+
+    const schema = { properties: { issue_key: { type: 'string' }, force: { type: 'boolean' } } };
+    const forced = classifyOperation('tracker_item', { definition: { description: 'Tracker item helper', inputSchema: schema } });
+    assert.deepStrictEqual([forced.operation, forced.basis, forced.confidence], ['delete', 'schema', 0.4]);
+    assert.strictEqual(forced.explanation, 'no operation keyword in the name; input property "force": "force" is a delete keyword');
+
+    assert.strictEqual(detectOperation('tracker_item', { definition: { inputSchema: { properties: { query: {}, name: {} } } } }), 'write',
+      'Properties below write say nothing');
+    assert.strictEqual(detectOperation('github_list_repos', { definition: { description: 'Delete repositories' } }), 'read', 'The name decides');
+    assert.strictEqual(detectOperation('notion_page', { definition: { description: 'Retrieves a page' }, trust: 'ignore' }), 'write',
+      'Server-provided text is ignored with the annotations');
+  });
+
+  it('should only let descriptions and schemas raise the default unless they are trusted', () => {
+    const definition = { description: 'Reads the account summary.' };
+    const escalated = classifyOperation('acme_nukeall', { definition });
+    assert.deepStrictEqual([escalated.operation, escalated.basis, escalated.confidence, escalated.fallback], ['write', 'default', 0.2, true]);
+    assert.strictEqual(escalated.explanation, 'no operation keyword matched; defaulted to write; the description cannot lower it to read');
+
+    assert.strictEqual(detectOperation('acme_nukeall', { definition, trust: 'trust' }), 'read');
+    assert.strictEqual(detectOperation('acme_nukeall', { definition: { description: 'Removes the account.' } }), 'delete');
+  });
+
+  it('should resolve the review threshold per service', () => {
+    const rules = { lowConfidence: { threshold: 0.7 }, services: { github: { lowConfidence: { action: 'ask' } } } };
+    assert.deepStrictEqual(resolveLowConfidence(rules, 'github'), { threshold: 0.7, action: 'ask' });
+    assert.deepStrictEqual(resolveLowConfidence(rules, 'slack'), { threshold: 0.7, action: 'flag' });
+    assert.deepStrictEqual(resolveLowConfidence({}, 'slack'), { threshold: 0.5, action: 'flag' });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for custom operation categories
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildTaxonomy, resolveTaxonomy, DEFAULT_TAXONOMY } from '../src/operation-taxonomy.js';
+import { detectOperation, classifyOperation } from '../src/operation-detector.js';
+
+const categories = {
+  financial: { keywords: ['pay', 'refund', 'charge'], nouns: ['invoice'], priority: 45 },
+  communication: { keywords: ['send', 'post', 'email'], priority: 35 },
+  network: { keywords: ['http', 'curl'], priority: 25 },
+  execute: { keywords: ['navigate'] }
+};
+
+describe('buildTaxonomy', () => {
+  it('should order built-in and custom categories by priority', () => {
+    assert.deepStrictEqual(DEFAULT_TAXONOMY.order, ['admin', 'delete', 'execute', 'write', 'read']);
+    assert.deepStrictEqual(buildTaxonomy(categories).order, ['admin', 'financial', 'delete', 'communication', 'execute', 'network', 'write', 'read']);
+  });
+
+  it('should let the highest priority category win shared keywords', () => {
+    const taxonomy = buildTaxonomy(categories);
+
+    assert.deepStrictEqual(taxonomy.index.get('post'), { operation: 'communication', categories: ['communication', 'execute', 'write'], noun: false });
+    assert.strictEqual(taxonomy.index.get('invoice').noun, true);
+  });
+
+  it('should reuse the taxonomy of an unchanged categories object', () => {
+    const rules = { categories };
+    assert.strictEqual(resolveTaxonomy(rules), resolveTaxonomy(rules));
+    assert.notStrictEqual(resolveTaxonomy({ categories: { ...categories } }), resolveTaxonomy(rules));
+    assert.strictEqual(resolveTaxonomy({}), DEFAULT_TAXONOMY);
+  });
+});
+
+describe('detectOperation with custom categories', () => {
+  const taxonomy = buildTaxonomy(categories);
+
+  it('should detect custom categories and extra built-in keywords', () => {
+    assert.strictEqual(detectOperation('stripe_refund_charge', { taxonomy }), 'financial');
+    assert.strictEqual(detectOperation('slack_post_message', { taxonomy }), 'communication');
+    assert.strictEqual(detectOperation('fetch_http_headers', { taxonomy }), 'network', 'The most restrictive action word decides');
+    assert.strictEqual(detectOperation('puppeteer_navigate', { taxonomy }), 'execute');
+    assert.strictEqual(detectOperation('puppeteer_navigate'), 'write', 'The built-in taxonomy is unchanged');
+  });
+
+  it('should use custom nouns and priorities when merging', () => {
+    assert.strictEqual(detectOperation('stripe_invoice', { taxonomy }), 'financial');
+    assert.strictEqual(detectOperation('stripe_list_invoices', { taxonomy }), 'read');
+    assert.strictEqual(detectOperation('get_or_pay_invoice', { taxonomy }), 'financial');
+    assert.strictEqual(detectOperation('stripe_pay', { annotations: { destructiveHint: true }, taxonomy }), 'financial', 'delete ranks below financial');
+  });
+
+  it('should report the priority position of custom categories', () => {
+    const classification = classifyOperation('slack_post_message', { taxonomy });
+    assert.strictEqual(classification.priority, 4);
+    assert.strictEqual(classification.explanation, '"post" is a communication keyword (also execute, write; communication has priority)');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for persistent rate limits and quotas
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { consumeRateLimits, describeLimit, validateRateLimits } from '../src/rate-limit.js';
+
+const rateLimitModule = join(dirname(fileURLToPath(import.meta.url)), '..', 'src', 'rate-limit.js');
+
+// Monday 2026-10-19, 14:30 UTC (16:30 in Berlin)
+const NOW = Date.parse('2026-10-19T14:30:00Z');
+
+const call = (toolName, fields = {}) => ({ kind: 'tool', service: 'github', toolName, operation: 'write', ...fields });
+
+describe('consumeRateLimits', () => {
+  let dir;
+  let statePath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mcp-gov-limits-'));
+    statePath = join(dir, 'rate-limits.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should deny calls over the limit until the window resets', () => {
+    const limits = [{ service: 'github', tools: ['github_create_issue'], max: 2, per: '10m' }];
+    const consume = (now, tool = 'github_create_issue') => consumeRateLimits(limits, call(tool), { statePath, now });
+
+    assert.strictEqual(consume(NOW), null);
+    assert.strictEqual(consume(NOW + 1000), null);
+    assert.deepStrictEqual(consume(NOW + 2000), { limit: limits[0], resetsAt: '2026-10-19T14:40:00.000Z' });
+    assert.strictEqual(consume(NOW + 2000, 'github_list_repos'), null, 'Other tools are not limited');
+    assert.strictEqual(consume(Date.parse('2026-10-19T14:40:00Z')), null, 'A new window starts from zero');
+  });
+
+  it('should reset daily quotas at midnight in the quota time zone', () => {
+    const limits = [{ service: 'github', operations: ['write'], max: 1, per: 'day', timezone: 'Europe/Berlin' }];
+
+    assert.strictEqual(consumeRateLimits(limits, call('github_create_issue'), { statePath, now: NOW }), null);
+    const exceeded = consumeRateLimits(limits, call('github_create_pr'), { statePath, now: NOW });
+    assert.strictEqual(exceeded.resetsAt, '2026-10-19T22:00:00.000Z');
+    assert.strictEqual(consumeRateLimits(limits, call('github_create_pr'), { statePath, now: Date.parse('2026-10-19T22:00:00Z') }), null);
+    assert.strictEqual(consumeRateLimits(limits, call('github_get_file', { operation: 'read' }), { statePath, now: NOW }), null);
+  });
+
+  it('should count each service separately for "*" limits', () => {
+    const limits = [{ service: '*', max: 1, per: '1h' }];
+
+    assert.strictEqual(consumeRateLimits(limits, call('github_create_issue'), { statePath, now: NOW }), null);
+    assert.strictEqual(consumeRateLimits(limits, call('slack_post', { service: 'slack' }), { statePath, now: NOW }), null);
+    assert.ok(consumeRateLimits(limits, call('github_create_issue'), { statePath, now: NOW }));
+  });
+
+  it('should not count a call that another limit denies', () => {
+    const limits = [
+      { service: 'github', max: 5, per: '1h' },
+      { service: 'github', tools: ['github_create_*'], max: 1, per: '1h' }
+    ];
+
+    consumeRateLimits(limits, call('github_create_issue'), { statePath, now: NOW });
+    assert.ok(consumeRateLimits(limits, call('github_create_issue'), { statePath, now: NOW }));
+
+    const counters = Object.values(JSON.parse(readFileSync(statePath, 'utf8')).counters);
+    assert.deepStrictEqual(counters.map(counter => counter.count), [1, 1]);
+  });
+
+  it('should hold the limit across concurrent processes', async () => {
+    const script = `
+      import { consumeRateLimits } from ${JSON.stringify(rateLimitModule)};
+      const limits = [{ service: 'github', max: 25, per: '7d' }];
+      let allowed = 0;
+      for (let i = 0; i < 20; i++) {
+        if (!consumeRateLimits(limits, { service: 'github', toolName: 'github_create_issue', operation: 'write' }, { statePath: ${JSON.stringify(statePath)} })) allowed++;
+      }
+      console.log(allowed);
+    `;
+    const run = () => new Promise((resolve, reject) => {
+      const child = spawn('node', ['--input-type=module', '-e', script]);
+      let stdout = '';
+      child.stdout.on('data', (data) => { stdout += data; });
+      child.on('error', reject);
+      child.on('close', () => resolve(Number(stdout.trim())));
+    });
+
+    const results = await Promise.all([run(), run()]);
+    assert.strictEqual(results[0] + results[1], 25);
+  });
+});
+
+describe('describeLimit', () => {
+  it('should name the limited tools, operations or service', () => {
+    assert.strictEqual(describeLimit({ service: 'github', tools: ['github_create_issue'], max: 20, per: '1h' }), '20 calls per 1h for github_create_issue');
+    assert.strictEqual(describeLimit({ service: 'github', operations: ['write', 'delete'], max: 5, per: 'day' }), '5 calls per day for github write/delete operations');
+    assert.strictEqual(describeLimit({ service: '*', max: 100, per: '1m', name: 'burst guard' }), '100 calls per 1m for burst guard');
+  });
+});
+
+describe('validateRateLimits', () => {
+  it('should accept well-formed limits', () => {
+    assert.doesNotThrow(() => validateRateLimits(undefined));
+    assert.doesNotThrow(() => validateRateLimits([
+      { service: 'github', tools: ['github_create_*'], max: 20, per: '1h' },
+      { service: '*', operations: ['write'], max: 500, per: 'day', timezone: 'Europe/Berlin' }
+    ]));
+  });
+
+  it('should reject malformed limits', () => {
+    assert.throws(() => validateRateLimits({}), /"limits" must be an array/);
+    assert.throws(() => validateRateLimits([{ max: 1, per: '1h' }]), /Limit at index 0: "service" field is required/);
+    assert.throws(() => validateRateLimits([{ service: 'github', max: 0, per: '1h' }]), /"max" must be a positive whole number/);
+    assert.throws(() => validateRateLimits([{ service: 'github', max: 1, per: '0m' }]), /"per" must be "day" or a duration/);
+    assert.throws(() => validateRateLimits([{ service: 'github', max: 1, per: 'week' }]), /"per" must be "day" or a duration/);
+    assert.throws(() => validateRateLimits([{ service: 'github', max: 1, per: '1h', timezone: 'UTC' }]), /"timezone" only applies/);
+    assert.throws(() => validateRateLimits([{ service: 'github', max: 1, per: '1h', tools: [] }]), /"tools" must be a non-empty array/);
+    assert.throws(() => validateRateLimits([{ service: 'github', max: 1, per: '1h', window: '1h' }]), /unknown field "window"/);
+  });
+});
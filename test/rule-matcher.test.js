@@ -0,0 +1,200 @@
+/**
+ * Tests for rule argument conditions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import {
+  globToRegExp,
+  matchGlob,
+  matchesConditions,
+  validateConditions,
+  matchToolPattern,
+  getRuleSpecificity,
+  normalizeUri,
+  getRequestSpecificity,
+  matchPatterns,
+  validateRuleMatchers,
+  SPECIFICITY
+} from '../src/rule-matcher.js';
+
+describe('globToRegExp', () => {
+  it('should match single and double star wildcards', () => {
+    assert.ok(globToRegExp('*.js').test('index.js'));
+    assert.ok(!globToRegExp('*.js').test('src/index.js'));
+    assert.ok(globToRegExp('src/**/*.js').test('src/index.js'));
+    assert.ok(globToRegExp('src/**/*.js').test('src/a/b/index.js'));
+    assert.ok(globToRegExp('file?.{md,txt}').test('file1.md'));
+    assert.ok(!globToRegExp('file?.{md,txt}').test('file1.json'));
+  });
+});
+
+describe('matchGlob', () => {
+  it('should expand ~ and resolve relative paths', () => {
+    assert.ok(matchGlob('~/.ssh/**', join(homedir(), '.ssh', 'id_rsa')));
+    assert.ok(matchGlob('~/.ssh/**', '~/.ssh/id_rsa'));
+    assert.ok(matchGlob('./src/**', join(process.cwd(), 'src', 'index.js')));
+    assert.ok(!matchGlob('./src/**', './src/../package.json'));
+  });
+
+  it('should resolve dot segments in relative path patterns and values', () => {
+    assert.ok(!matchGlob('src/**', 'src/../../etc/passwd'));
+    assert.ok(!matchGlob('src/**', 'src/../package.json'));
+    assert.ok(matchGlob('src/**', './src/lib/../index.js'));
+    assert.ok(matchGlob('**/.env', 'config/../.env'));
+    assert.ok(matchGlob('https://*.example.com/**', 'https://api.example.com/v1'), 'URLs are not paths');
+  });
+
+  it('should match non-path patterns as plain strings', () => {
+    assert.ok(matchGlob('release-*', 'release-1.0'));
+    assert.ok(!matchGlob('release-*', 'main'));
+  });
+});
+
+describe('matchesConditions', () => {
+  const args = { path: './src/a.js', branch: 'main', limit: 50, paths: ['./src/a.js', '~/.ssh/id_rsa'], options: { force: true } };
+
+  it('should match when there are no conditions', () => {
+    assert.ok(matchesConditions(undefined, args));
+    assert.ok(matchesConditions([], args));
+  });
+
+  it('should support glob, regex, equals and numeric ranges', () => {
+    assert.ok(matchesConditions([{ argument: 'path', glob: './src/**' }], args));
+    assert.ok(matchesConditions([{ argument: 'branch', regex: '^MA', flags: 'i' }], args));
+    assert.ok(matchesConditions([{ argument: 'options.force', equals: true }], args));
+    assert.ok(matchesConditions([{ argument: 'limit', min: 10, max: 100 }], args));
+    assert.ok(!matchesConditions([{ argument: 'limit', max: 10 }], args));
+  });
+
+  it('should require every condition to hold', () => {
+    assert.ok(!matchesConditions([
+      { argument: 'path', glob: './src/**' },
+      { argument: 'branch', equals: 'develop' }
+    ], args));
+  });
+
+  it('should hold for arrays when any element satisfies the condition', () => {
+    assert.ok(matchesConditions([{ argument: 'paths', glob: '~/.ssh/**' }], args));
+    assert.ok(matchesConditions([{ argument: 'paths', glob: './src/**', not: true }], args));
+  });
+
+  it('should require every element of an array in allow rules', () => {
+    const mixed = { paths: ['./src/a.js', '/etc/shadow'] };
+    assert.ok(!matchesConditions([{ argument: 'paths', glob: './src/**' }], mixed, 'allow'));
+    assert.ok(matchesConditions([{ argument: 'paths', glob: './src/**' }], { paths: ['./src/a.js', './src/b.js'] }, 'allow'));
+    assert.ok(matchesConditions([{ argument: 'paths', glob: '/etc/**' }], mixed, 'deny'));
+    assert.ok(matchesConditions([{ argument: 'paths', glob: '/etc/**' }], mixed, 'ask'));
+    assert.ok(!matchesConditions([{ argument: 'paths', glob: './src/**' }], { paths: [] }, 'allow'), 'Nothing to allow');
+  });
+
+  it('should follow an explicit "match" quantifier', () => {
+    const mixed = { paths: ['./src/a.js', '/etc/shadow'] };
+    assert.ok(matchesConditions([{ argument: 'paths', glob: './src/**', match: 'any' }], mixed, 'allow'));
+    assert.ok(!matchesConditions([{ argument: 'paths', glob: '/etc/**', match: 'all' }], mixed, 'deny'));
+  });
+
+  it('should treat missing arguments as non-matching unless negated', () => {
+    assert.ok(!matchesConditions([{ argument: 'missing', glob: '**' }], args));
+    assert.ok(matchesConditions([{ argument: 'missing', glob: './src/**', not: true }], args));
+  });
+});
+
+describe('validateConditions', () => {
+  it('should accept well-formed conditions', () => {
+    assert.doesNotThrow(() => validateConditions([
+      { argument: 'path', glob: ['./src/**', './test/**'] },
+      { argument: 'limit', min: 0 }
+    ]));
+  });
+
+  it('should reject malformed conditions', () => {
+    assert.throws(() => validateConditions({}), /must be an array/);
+    assert.throws(() => validateConditions([{ glob: '*' }]), /"argument" field is required/);
+    assert.throws(() => validateConditions([{ argument: 'a' }]), /exactly one of/);
+    assert.throws(() => validateConditions([{ argument: 'a', equals: 1, match: 'some' }]), /"match" must be one of: all, any/);
+    assert.throws(() => validateConditions([{ argument: 'a', glob: '*', equals: 1 }]), /exactly one of/);
+    assert.throws(() => validateConditions([{ argument: 'a', regex: '[' }]), /invalid regex/);
+    assert.throws(() => validateConditions([{ argument: 'a', min: '1' }]), /"min" must be a number/);
+  });
+});
+
+describe('matchToolPattern', () => {
+  it('should rank exact names above patterns', () => {
+    assert.strictEqual(matchToolPattern('github_delete_branch', 'github_delete_branch'), SPECIFICITY.TOOL_NAME);
+    assert.strictEqual(matchToolPattern('github_delete_*', 'github_delete_branch'), SPECIFICITY.TOOL_PATTERN);
+    assert.strictEqual(matchToolPattern('/^GITHUB_/i', 'github_delete_branch'), SPECIFICITY.TOOL_PATTERN);
+    assert.strictEqual(matchToolPattern('github_delete_repo', 'github_delete_branch'), SPECIFICITY.NONE);
+  });
+});
+
+describe('getRuleSpecificity', () => {
+  it('should require every declared selector to match', () => {
+    assert.strictEqual(getRuleSpecificity({ operations: ['delete'] }, 'github_delete_branch', 'delete'), SPECIFICITY.OPERATION);
+    assert.strictEqual(getRuleSpecificity({ operations: ['read'] }, 'github_delete_branch', 'delete'), SPECIFICITY.NONE);
+    assert.strictEqual(getRuleSpecificity({ tools: ['github_delete_branch'] }, 'github_delete_branch', 'delete'), SPECIFICITY.TOOL_NAME);
+    assert.strictEqual(getRuleSpecificity({ tools: ['github_*'], operations: ['read'] }, 'github_delete_branch', 'delete'), SPECIFICITY.NONE);
+  });
+
+  it('should ignore resource and prompt rules for tool calls', () => {
+    assert.strictEqual(getRuleSpecificity({ resources: ['file:///**'], operations: ['read'] }, 'files_read', 'read'), SPECIFICITY.NONE);
+    assert.strictEqual(getRuleSpecificity({ prompts: ['*'], tools: ['files_read'] }, 'files_read', 'read'), SPECIFICITY.TOOL_NAME);
+  });
+});
+
+describe('getRequestSpecificity', () => {
+  it('should match resources by URI and prompts by name', () => {
+    const rule = { resources: ['file:///home/**', 'db://prod/users'], prompts: ['review_*'] };
+    assert.strictEqual(getRequestSpecificity(rule, { kind: 'resource', name: 'db://prod/users', operation: 'read' }), SPECIFICITY.TOOL_NAME);
+    assert.strictEqual(getRequestSpecificity(rule, { kind: 'resource', name: 'file:///home/a/b.txt', operation: 'read' }), SPECIFICITY.TOOL_PATTERN);
+    assert.strictEqual(getRequestSpecificity(rule, { kind: 'resource', name: 'file:///etc/passwd', operation: 'read' }), SPECIFICITY.NONE);
+    assert.strictEqual(getRequestSpecificity(rule, { kind: 'prompt', name: 'review_pr', operation: 'read' }), SPECIFICITY.TOOL_PATTERN);
+    assert.strictEqual(getRequestSpecificity(rule, { kind: 'prompt', name: 'db://prod/users', operation: 'read' }), SPECIFICITY.NONE);
+  });
+
+  it('should match resource URIs after resolving dot segments and percent-encoding', () => {
+    const allow = { resources: ['file:///home/**'], permission: 'allow' };
+    const deny = { resources: ['file:///home/*/.ssh/**'], permission: 'deny' };
+    const resource = name => ({ kind: 'resource', name, operation: 'read' });
+    for (const uri of ['file:///home/u/x/../.ssh/id_rsa', 'file:///home/u/x/%2e%2e/.ssh/id_rsa', 'file:///home/u/x/%2E%2E/.ssh/id_rsa', 'file:///home/u//.ssh/id_rsa']) {
+      assert.strictEqual(getRequestSpecificity(deny, resource(uri)), SPECIFICITY.TOOL_PATTERN, uri);
+    }
+    assert.strictEqual(getRequestSpecificity({ resources: ['file:///srv/**'] }, resource('file:///srv/../etc/passwd')), SPECIFICITY.NONE);
+    assert.strictEqual(getRequestSpecificity(allow, resource('file:///home/%2e%2e/etc/passwd')), SPECIFICITY.NONE);
+    assert.strictEqual(getRequestSpecificity(allow, resource('file:///home/../../etc/passwd')), SPECIFICITY.NONE, 'Climbs above the root');
+    assert.strictEqual(getRequestSpecificity({ resources: ['file:///home/u/../**'] }, resource('file:///home/v/a')), SPECIFICITY.TOOL_PATTERN,
+      'Patterns are normalized too');
+  });
+
+  it('should normalize resource URIs', () => {
+    assert.strictEqual(normalizeUri('file:///home/u/x/%252e%252e/.ssh'), 'file:///home/u/.ssh', 'Decoded until stable');
+    assert.strictEqual(normalizeUri('file:///a\\..\\b'), 'file:///b');
+    assert.strictEqual(normalizeUri('file:///a/b/..'), 'file:///a/');
+    assert.strictEqual(normalizeUri('db://prod/users?q=/../x'), 'db://prod/users?q=/../x', 'The query is not a path');
+    assert.strictEqual(normalizeUri('file:///..'), null);
+  });
+
+  it('should not select resources or prompts by operation alone', () => {
+    assert.strictEqual(getRequestSpecificity({ operations: ['read'] }, { kind: 'resource', name: 'file:///a', operation: 'read' }), SPECIFICITY.NONE);
+    assert.strictEqual(getRequestSpecificity({ prompts: ['*'], operations: ['write'] }, { kind: 'prompt', name: 'a', operation: 'read' }), SPECIFICITY.NONE);
+    assert.strictEqual(matchPatterns(undefined, 'a'), SPECIFICITY.NONE);
+  });
+});
+
+describe('validateRuleMatchers', () => {
+  it('should require operations or tools', () => {
+    assert.throws(() => validateRuleMatchers({ service: 'github' }), /"operations" or "tools" field is required/);
+    assert.doesNotThrow(() => validateRuleMatchers({ tools: ['github_*'] }));
+    assert.doesNotThrow(() => validateRuleMatchers({ resources: ['file:///**'] }));
+    assert.doesNotThrow(() => validateRuleMatchers({ prompts: ['review_*'] }));
+  });
+
+  it('should reject malformed tool patterns', () => {
+    assert.throws(() => validateRuleMatchers({ tools: [] }), /non-empty array/);
+    assert.throws(() => validateRuleMatchers({ tools: ['/[/'] }), /invalid tool pattern/);
+    assert.throws(() => validateRuleMatchers({ resources: 'file:///**' }), /"resources" must be a non-empty array of resource URIs/);
+    assert.throws(() => validateRuleMatchers({ prompts: ['/(/'] }), /invalid prompt pattern/);
+  });
+});
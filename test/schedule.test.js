@@ -0,0 +1,79 @@
+/**
+ * Tests for rule schedule windows
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { matchSchedule, validateSchedule, describeWindow } from '../src/schedule.js';
+
+// Monday 2026-10-19, 14:30 UTC (16:30 in Berlin, 10:30 in New York)
+const MONDAY = new Date('2026-10-19T14:30:00Z');
+// Saturday 2026-10-17, 10:30 UTC
+const SATURDAY = new Date('2026-10-17T10:30:00Z');
+
+describe('matchSchedule', () => {
+  it('should always match rules without a schedule', () => {
+    assert.deepStrictEqual(matchSchedule(undefined, MONDAY), { window: null });
+  });
+
+  it('should match weekdays and hours in the window time zone', () => {
+    const businessHours = { days: 'mon-fri', hours: '09:00-17:00', timezone: 'Europe/Berlin' };
+
+    assert.deepStrictEqual(matchSchedule(businessHours, MONDAY), { window: 'mon-fri 09:00-17:00 Europe/Berlin' });
+    assert.strictEqual(matchSchedule(businessHours, new Date('2026-10-19T15:30:00Z')), null, '17:30 in Berlin');
+    assert.strictEqual(matchSchedule(businessHours, SATURDAY), null);
+    assert.strictEqual(matchSchedule({ ...businessHours, timezone: 'Asia/Tokyo' }, MONDAY), null, '23:30 in Tokyo');
+  });
+
+  it('should wrap hours past midnight and day ranges over the weekend', () => {
+    assert.ok(matchSchedule({ hours: '22:00-06:00', timezone: 'UTC' }, new Date('2026-10-19T03:00:00Z')));
+    assert.strictEqual(matchSchedule({ hours: '22:00-06:00', timezone: 'UTC' }, MONDAY), null);
+    assert.ok(matchSchedule({ days: 'fri-mon', timezone: 'UTC' }, SATURDAY));
+    assert.ok(matchSchedule({ days: 'fri-mon', timezone: 'UTC' }, MONDAY));
+  });
+
+  it('should match cron expressions', () => {
+    assert.ok(matchSchedule({ cron: '*/15 9-17 * * mon-fri', timezone: 'America/New_York' }, MONDAY));
+    assert.strictEqual(matchSchedule({ cron: '*/20 9-17 * * mon-fri', timezone: 'America/New_York' }, MONDAY), null);
+    assert.ok(matchSchedule({ cron: '* * * * 0,6', timezone: 'UTC' }, SATURDAY));
+    assert.ok(matchSchedule({ cron: '30 10 1 * 6', timezone: 'UTC' }, SATURDAY), 'Either restricted day field matches');
+    assert.strictEqual(matchSchedule({ cron: '* * * jan-sep *', timezone: 'UTC' }, MONDAY), null);
+  });
+
+  it('should match date ranges inclusively', () => {
+    const october = { from: '2026-10-01', until: '2026-10-17', timezone: 'UTC' };
+    assert.ok(matchSchedule(october, SATURDAY));
+    assert.strictEqual(matchSchedule(october, MONDAY), null);
+    assert.strictEqual(matchSchedule({ until: '2026-10-19T14:00:00Z' }, MONDAY), null);
+  });
+
+  it('should report the first matching window', () => {
+    const schedule = [
+      { name: 'weekend', days: ['sat', 'sun'] },
+      { name: 'evenings', hours: '18:00-23:59', timezone: 'UTC' },
+      { name: 'fallback' }
+    ];
+    assert.deepStrictEqual(matchSchedule(schedule, SATURDAY), { window: 'weekend' });
+    assert.deepStrictEqual(matchSchedule(schedule, MONDAY), { window: 'fallback' });
+    assert.strictEqual(describeWindow({}), 'always');
+  });
+});
+
+describe('validateSchedule', () => {
+  it('should accept well-formed schedules', () => {
+    assert.doesNotThrow(() => validateSchedule(undefined));
+    assert.doesNotThrow(() => validateSchedule({ days: ['mon-fri'], hours: ['09:00-12:00', '13:00-17:00'], timezone: 'Europe/Berlin' }));
+    assert.doesNotThrow(() => validateSchedule([{ cron: '0-30/10 8 1,15 * *' }, { from: '2026-12-24', until: '2026-12-26T12:00:00Z' }]));
+  });
+
+  it('should reject malformed schedules', () => {
+    assert.throws(() => validateSchedule([]), /non-empty array/);
+    assert.throws(() => validateSchedule({ day: 'mon' }), /unknown field "day"/);
+    assert.throws(() => validateSchedule({ days: 'weekdays' }), /day names/);
+    assert.throws(() => validateSchedule({ hours: '9-17' }), /"hours" must be a range/);
+    assert.throws(() => validateSchedule([{ timezone: 'Mars/Olympus' }]), /schedule window 0: unknown timezone/);
+    assert.throws(() => validateSchedule({ cron: '* * *' }), /5 fields/);
+    assert.throws(() => validateSchedule({ cron: '61 * * * *' }), /invalid minute "61"/);
+    assert.throws(() => validateSchedule({ until: 'tomorrow' }), /"until" must be a date/);
+  });
+});
@@ -76,7 +76,7 @@ console.error('Mock server ready');
       '--service', 'filesystem',
       '--target', `node ${mockServerFile}`,
       '--rules', rulesFile
-    ]);
+    ], { env: { ...process.env, HOME: testDir } });
 
     let stdout = '';
     let stderr = '';
@@ -132,7 +132,7 @@ console.error('Mock server ready');
       proxyPath,
       '--target', `node ${mockServerFile}`,
       '--rules', rulesFile
-    ]);
+    ], { env: { ...process.env, HOME: testDir } });
 
     let stdout = '';
     let stderr = '';
@@ -172,11 +172,11 @@ console.error('Mock server ready');
     child.kill('SIGTERM');
     await new Promise(resolve => child.on('close', resolve));
 
-    // Without --service, it extracts "list" from "list_directory"
-    // There's no rule for service="list", so it defaults to ALLOW
+    // Without --service, "list_directory" has no service prefix ("list" is an action)
+    // There's no rule for service="unknown", so it defaults to ALLOW
     assert.ok(stderr.includes('ALLOWED') || !stderr.includes('DENIED'),
       'Should allow when service not found in rules (default behavior)');
-    assert.ok(stderr.includes('service=list'),
-      'Should extract service name "list" from tool name prefix');
+    assert.ok(stderr.includes('service=unknown'),
+      'Should not take the action word "list" for a service name');
   });
 });
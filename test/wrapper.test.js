@@ -17,11 +17,12 @@ const wrapperPath = join(projectRoot, 'bin', 'mcp-gov-wrap.js');
 /**
  * Helper to run wrapper with arguments
  * @param {string[]} args - Command line arguments
+ * @param {Object} [env] - Extra environment variables
  * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
  */
-async function runWrapper(args) {
+async function runWrapper(args, env = {}) {
   return new Promise((resolve) => {
-    const child = spawn('node', [wrapperPath, ...args]);
+    const child = spawn('node', [wrapperPath, ...args], { env: { ...process.env, ...env } });
     let stdout = '';
     let stderr = '';
 
@@ -335,6 +336,454 @@ describe('mcp-gov-wrap rules validation', () => {
     }
   });
 
+  test('should accept rules selecting tools by name or pattern', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'tool-rules.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      rules: [
+        { service: 'github', tools: ['github_delete_branch'], permission: 'allow' },
+        { service: 'github', tools: ['github_*_repo', '/^github_admin_/i'], permission: 'deny' }
+      ]
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+  });
+
+  test('should reject rule with invalid tool pattern', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-tools.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      rules: [
+        { service: 'github', tools: ['/(/'], permission: 'deny' }
+      ]
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /invalid tool pattern/i);
+  });
+
+  test('should reject invalid defaultPermission', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-default.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      defaultPermission: 'block',
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /defaultPermission.*allow.*deny/i);
+  });
+
+  test('should reject invalid auditLog settings', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-audit-log.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      auditLog: { maxSizeMB: 0 },
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /auditLog\.maxSizeMB.*positive number/);
+  });
+
+  test('should reject an invalid enforcement mode', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-mode.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      services: { github: { mode: 'dry-run' } },
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /Service "github": "mode" must be one of enforce, monitor/);
+  });
+
+  test('should reject malformed rule schedules', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-schedule.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      rules: [{ service: 'github', operations: ['admin'], permission: 'deny', schedule: { days: ['sat', 'sun'], hours: '9-17' } }]
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /Rule at index 0: schedule: "hours" must be a range "HH:MM-HH:MM"/);
+  });
+
+  test('should reject malformed rate limits', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-limits.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      limits: [{ service: 'github', max: 20, per: 'week' }],
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /Limit at index 0: "per" must be "day" or a duration/);
+  });
+
+  test('should reject an invalid lowConfidence threshold', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-low-confidence.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      services: { puppeteer: { lowConfidence: { threshold: 50, action: 'ask' } } },
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /Service "puppeteer": "lowConfidence.threshold" must be a number from 0 to 1/);
+  });
+
+  test('should reject categories that reuse a built-in priority', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-categories.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      categories: { secrets: { keywords: ['reveal'], priority: 50 } },
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /Category "secrets": priority 50 is already used by "admin"/);
+  });
+
+  test('should reject classifications naming an unknown operation', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-classifications.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      classifications: { github_merge_pull_request: 'merge' },
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /"classifications\.github_merge_pull_request" must be one of admin, delete, execute, write, read, got "merge"/);
+  });
+
+  test('should reject an alias used by two services', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'invalid-aliases.json');
+
+    writeFileSync(configPath, JSON.stringify({ mcpServers: {} }));
+    writeFileSync(rulesPath, JSON.stringify({
+      services: { github: { aliases: ['gh'] }, 'github-enterprise': { aliases: ['gh'] } },
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath,
+      '--tool', 'echo test'
+    ]);
+
+    assert.notStrictEqual(result.exitCode, 0);
+    assert.match(result.stderr, /Service "github-enterprise": alias "gh" is already used by "github"/);
+  });
+
+  test('should keep default policy when adding rules for new servers', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'default-policy.json');
+
+    writeFileSync(configPath, JSON.stringify({
+      mcpServers: { quiet: { command: 'node', args: ['-e', ''] } }
+    }));
+    writeFileSync(rulesPath, JSON.stringify({
+      defaultPermission: 'deny',
+      services: { github: { defaultPermission: 'allow' } },
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath
+    ]);
+
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+    const rules = JSON.parse(readFileSync(rulesPath, 'utf8'));
+    assert.strictEqual(rules.defaultPermission, 'deny');
+    assert.deepStrictEqual(rules.services, { github: { defaultPermission: 'allow' } });
+    assert.ok(rules.rules.some(r => r.service === 'quiet'), 'Should add rules for the new server');
+  });
+
+  test('should pin the tool definitions it discovers', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'pinned-rules.json');
+    const server = "require('readline').createInterface({ input: process.stdin }).on('line', (line) => console.log(JSON.stringify(" +
+      "{ jsonrpc: '2.0', id: JSON.parse(line).id, result: { tools: [{ name: 'notes_read_note', description: 'Read a note' }] } })))";
+
+    writeFileSync(configPath, JSON.stringify({
+      mcpServers: { notes: { command: 'node', args: ['-e', server] } }
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath
+    ], { HOME: tmpDir });
+
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+    const pins = JSON.parse(readFileSync(join(tmpDir, '.mcp-gov', 'tool-pins.json'), 'utf8'));
+    assert.deepStrictEqual(Object.keys(pins.services.notes.tools), ['notes_read_note']);
+    assert.match(pins.services.notes.tools.notes_read_note.hash, /^sha256:[0-9a-f]{64}$/);
+    assert.strictEqual(pins.services.notes.tools.notes_read_note.definition.description, 'Read a note');
+  });
+
+  test('should record annotated tools as tool rules', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'annotated-rules.json');
+    const tools = [
+      { name: 'notes_tidy', annotations: { destructiveHint: true } },
+      { name: 'notes_list', annotations: { readOnlyHint: true } }
+    ];
+    const server = "require('readline').createInterface({ input: process.stdin }).on('line', (line) => console.log(JSON.stringify(" +
+      `{ jsonrpc: '2.0', id: JSON.parse(line).id, result: { tools: ${JSON.stringify(tools)} } })))`;
+
+    writeFileSync(configPath, JSON.stringify({
+      mcpServers: { notes: { command: 'node', args: ['-e', server] } }
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath
+    ], { HOME: tmpDir });
+
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+    const rules = JSON.parse(readFileSync(rulesPath, 'utf8')).rules;
+    assert.deepStrictEqual(rules.filter(r => r.tools), [{
+      service: 'notes',
+      tools: ['notes_tidy'],
+      operations: ['delete', 'execute', 'write', 'read'],
+      permission: 'deny',
+      reason: "Classified as delete from the server's destructiveHint annotation"
+    }]);
+    assert.ok(rules.some(r => r.operations?.includes('delete') && r.permission === 'deny'));
+  });
+
+  test('should let operation rules decide once arguments raise an annotated tool', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'raised-rules.json');
+    const serverPath = join(tmpDir, 'raised-server.cjs');
+    const tools = [
+      { name: 'notes_page', annotations: { readOnlyHint: true }, inputSchema: { type: 'object', properties: { sql: { type: 'string' } } } },
+      { name: 'notes_delete_page' }
+    ];
+    writeFileSync(serverPath, "require('readline').createInterface({ input: process.stdin }).on('line', (line) => { const msg = JSON.parse(line); " +
+      `console.log(JSON.stringify({ jsonrpc: '2.0', id: msg.id, result: msg.method === 'tools/list' ? { tools: ${JSON.stringify(tools)} } : { content: [] } })); });`);
+    writeFileSync(configPath, JSON.stringify({ mcpServers: { notes: { command: 'node', args: [serverPath] } } }));
+    writeFileSync(rulesPath, JSON.stringify({ annotationTrust: 'trust', rules: [] }));
+
+    const result = await runWrapper(['--config', configPath, '--rules', rulesPath], { HOME: tmpDir });
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+    const rules = JSON.parse(readFileSync(rulesPath, 'utf8')).rules;
+    assert.deepStrictEqual(rules.find(r => r.tools), {
+      service: 'notes',
+      tools: ['notes_page'],
+      operations: ['read'],
+      permission: 'allow',
+      reason: "Classified as read from the server's readOnlyHint annotation"
+    });
+
+    // Run the proxy on the generated rules: list the tools, then call the read tool with a DROP
+    const proxy = spawn('node', [join(projectRoot, 'bin', 'mcp-gov-proxy.js'), '--service', 'notes', '--rules', rulesPath, '--', 'node', serverPath], {
+      env: { ...process.env, HOME: tmpDir }
+    });
+    const responses = new Map();
+    let buffered = '';
+    proxy.stdout.on('data', (data) => {
+      buffered += data.toString();
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines.filter(Boolean)) {
+        const message = JSON.parse(line);
+        responses.set(message.id, message);
+      }
+    });
+    const send = (id, method, params) => proxy.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+    const waitFor = async (count) => {
+      const deadline = Date.now() + 3000;
+      while (responses.size < count && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    };
+
+    send(1, 'tools/list', {});
+    await waitFor(1);
+    send(2, 'tools/call', { name: 'notes_page', arguments: { sql: 'SELECT 1' } });
+    send(3, 'tools/call', { name: 'notes_page', arguments: { sql: 'DROP TABLE notes' } });
+    await waitFor(3);
+    proxy.kill('SIGTERM');
+    await new Promise(resolve => proxy.on('close', resolve));
+
+    assert.ok(responses.get(2)?.result, 'The annotated read is allowed');
+    assert.match(responses.get(3)?.error?.message, /Permission denied: notes\.delete/, 'Raised to delete, the delete rule denies it');
+  });
+
+  test('should record tools classified from descriptions and schemas as tool rules', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'described-rules.json');
+    const tools = [
+      { name: 'notes_page', description: 'Removes a page and its children.' },
+      { name: 'notes_block', inputSchema: { type: 'object', properties: { force: { type: 'boolean' } } } },
+      { name: 'notes_item', description: 'A note item.' }
+    ];
+    const server = "require('readline').createInterface({ input: process.stdin }).on('line', (line) => console.log(JSON.stringify(" +
+      `{ jsonrpc: '2.0', id: JSON.parse(line).id, result: { tools: ${JSON.stringify(tools)} } })))`;
+
+    writeFileSync(configPath, JSON.stringify({
+      mcpServers: { notes: { command: 'node', args: ['-e', server] } }
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath
+    ], { HOME: tmpDir });
+
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+    const rules = JSON.parse(readFileSync(rulesPath, 'utf8')).rules;
+    assert.deepStrictEqual(rules.filter(r => r.tools), [{
+      service: 'notes',
+      tools: ['notes_page'],
+      operations: ['delete', 'execute', 'write', 'read'],
+      permission: 'deny',
+      reason: "Classified as delete from the server's tool description"
+    }, {
+      service: 'notes',
+      tools: ['notes_block'],
+      operations: ['delete', 'execute', 'write', 'read'],
+      permission: 'deny',
+      reason: "Classified as delete from the server's input schema"
+    }]);
+  });
+
+  test('should generate rules for categories defined in the rules file', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'category-rules.json');
+    const tools = [{ name: 'notes_pay_invoice' }, { name: 'notes_list' }];
+    const server = "require('readline').createInterface({ input: process.stdin }).on('line', (line) => console.log(JSON.stringify(" +
+      `{ jsonrpc: '2.0', id: JSON.parse(line).id, result: { tools: ${JSON.stringify(tools)} } })))`;
+
+    writeFileSync(configPath, JSON.stringify({
+      mcpServers: { notes: { command: 'node', args: ['-e', server] } }
+    }));
+    writeFileSync(rulesPath, JSON.stringify({
+      categories: { financial: { keywords: ['pay', 'refund'], priority: 45, permission: 'ask' } },
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath
+    ], { HOME: tmpDir });
+
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+    const rulesData = JSON.parse(readFileSync(rulesPath, 'utf8'));
+    assert.deepStrictEqual(rulesData.rules.map(r => [r.operations.join(), r.permission]), [['read', 'allow'], ['financial', 'ask']]);
+    assert.deepStrictEqual(Object.keys(rulesData.categories), ['financial'], 'Categories are kept');
+  });
+
+  test('should apply classification overrides and warn about unknown tools', async () => {
+    const configPath = join(tmpDir, 'config.json');
+    const rulesPath = join(tmpDir, 'classification-rules.json');
+    const tools = [{ name: 'notes_merge_pages' }, { name: 'notes_list' }];
+    const server = "require('readline').createInterface({ input: process.stdin }).on('line', (line) => console.log(JSON.stringify(" +
+      `{ jsonrpc: '2.0', id: JSON.parse(line).id, result: { tools: ${JSON.stringify(tools)} } })))`;
+
+    writeFileSync(configPath, JSON.stringify({
+      mcpServers: { notes: { command: 'node', args: ['-e', server] } }
+    }));
+    writeFileSync(rulesPath, JSON.stringify({
+      classifications: { notes_merge_pages: 'write', notes_archive_page: 'delete' },
+      rules: []
+    }));
+
+    const result = await runWrapper([
+      '--config', configPath,
+      '--rules', rulesPath
+    ], { HOME: tmpDir });
+
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+    const rules = JSON.parse(readFileSync(rulesPath, 'utf8')).rules;
+    assert.deepStrictEqual(rules.map(r => r.operations.join()), ['read', 'write'], 'notes_merge_pages is a write, not an execute');
+    assert.match(result.stderr, /"classifications" names notes_archive_page, which no discovered or pinned server lists/);
+    assert.doesNotMatch(result.stderr, /names notes_merge_pages/);
+  });
+
   test('should accept empty rules array', async () => {
     const configPath = join(tmpDir, 'config.json');
     const rulesPath = join(tmpDir, 'empty-rules.json');
@@ -691,14 +1140,35 @@ describe('mcp-gov-wrap server wrapping logic', () => {
     // Should use mcp-gov-proxy as command
     assert.strictEqual(wrappedServer.command, 'mcp-gov-proxy');
 
-    // Should have --target and --rules args
-    assert.ok(wrappedServer.args.includes('--target'));
+    // Should have --rules and the target after "--"
     assert.ok(wrappedServer.args.includes('--rules'));
+    assert.ok(wrappedServer.args.includes('--'));
+
+    // Should preserve original command after "--"
+    const targetArgv = wrappedServer.args.slice(wrappedServer.args.indexOf('--') + 1);
+    assert.match(targetArgv.join(' '), /node.*server\.js/);
+  });
+
+  test('should skip servers without a command', async () => {
+    const configPath = join(tmpDir, 'remote-config.json');
+    const rulesPath = join(tmpDir, 'rules.json');
 
-    // Should preserve original command in --target
-    const targetIndex = wrappedServer.args.indexOf('--target');
-    const targetValue = wrappedServer.args[targetIndex + 1];
-    assert.match(targetValue, /node.*server\.js/);
+    writeFileSync(configPath, JSON.stringify({
+      mcpServers: {
+        remote: { type: 'http', url: 'https://example.com/mcp' },
+        local: { command: 'node', args: ['-e', ''] }
+      }
+    }));
+
+    const result = await runWrapper(['--config', configPath, '--rules', rulesPath], { HOME: tmpDir });
+
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+    assert.match(result.stderr, /Skipping server "remote": it has no "command"/);
+    const modifiedConfig = JSON.parse(readFileSync(configPath, 'utf8'));
+    assert.deepStrictEqual(modifiedConfig.mcpServers.remote, { type: 'http', url: 'https://example.com/mcp' });
+    assert.strictEqual(modifiedConfig.mcpServers.local.command, 'mcp-gov-proxy');
+    assert.ok(!modifiedConfig.mcpServers.local.args.includes(null));
+    assert.ok(!JSON.parse(readFileSync(rulesPath, 'utf8')).rules.some(r => r.service === 'remote'));
   });
 
   test('should preserve original args when wrapping', async () => {
@@ -727,11 +1197,51 @@ describe('mcp-gov-wrap server wrapping logic', () => {
     const modifiedConfig = JSON.parse(readFileSync(configPath, 'utf8'));
     const wrappedServer = modifiedConfig.mcpServers['test-server'];
 
-    // Should preserve all original args in --target
-    const targetIndex = wrappedServer.args.indexOf('--target');
-    const targetValue = wrappedServer.args[targetIndex + 1];
-    assert.match(targetValue, /--port.*3000/);
-    assert.match(targetValue, /--verbose/);
+    // Should preserve all original args after "--", one argument each
+    const targetArgv = wrappedServer.args.slice(wrappedServer.args.indexOf('--') + 1);
+    assert.deepStrictEqual(targetArgv, ['node', '/path/to/server.js', '--port', '3000', '--verbose']);
+  });
+
+  test('should preserve args with spaces, quotes and JSON exactly', async () => {
+    const configPath = join(tmpDir, 'argv-config.json');
+    const rulesPath = join(tmpDir, 'rules.json');
+    const originalArgs = ['run', '-v', '/Users/me/My Documents:/data', '--config', '{"root": "/data", "readOnly": true}', "it's"];
+
+    writeFileSync(configPath, JSON.stringify({
+      mcpServers: { docker: { command: 'docker', args: originalArgs } }
+    }, null, 2));
+    writeFileSync(rulesPath, JSON.stringify({ rules: [] }));
+
+    await runWrapper(['--config', configPath, '--rules', rulesPath, '--tool', 'echo test']);
+
+    const wrappedServer = JSON.parse(readFileSync(configPath, 'utf8')).mcpServers.docker;
+    assert.deepStrictEqual(wrappedServer.args.slice(wrappedServer.args.indexOf('--') + 1), ['docker', ...originalArgs]);
+    assert.ok(!wrappedServer.args.includes('--target'));
+  });
+
+  test('should upgrade servers wrapped with --target to the "--" form', async () => {
+    const configPath = join(tmpDir, 'legacy-config.json');
+    const rulesPath = join(tmpDir, 'rules.json');
+
+    writeFileSync(configPath, JSON.stringify({
+      mcpServers: {
+        files: {
+          command: 'mcp-gov-proxy',
+          args: ['--service', 'files', '--target', 'npx -y server-fs /My Documents', '--rules', '/rules.json'],
+          _original: { command: 'npx', args: ['-y', 'server-fs', '/My Documents'] },
+          env: { DEBUG: '1' }
+        }
+      }
+    }, null, 2));
+    writeFileSync(rulesPath, JSON.stringify({ rules: [] }));
+
+    const result = await runWrapper(['--config', configPath, '--rules', rulesPath, '--tool', 'echo test']);
+
+    assert.match(result.stdout, /Upgrading 1 wrapped server/);
+    const upgraded = JSON.parse(readFileSync(configPath, 'utf8')).mcpServers.files;
+    assert.deepStrictEqual(upgraded.args, ['--service', 'files', '--rules', '/rules.json', '--', 'npx', '-y', 'server-fs', '/My Documents']);
+    assert.deepStrictEqual(upgraded._original, { command: 'npx', args: ['-y', 'server-fs', '/My Documents'] });
+    assert.deepStrictEqual(upgraded.env, { DEBUG: '1' });
   });
 
   test('should preserve environment variables when wrapping', async () => {